@@ -0,0 +1,206 @@
+/**
+ * RNK Patrol - Area Sampler
+ *
+ * Turns a Drawing or Scene Region into polygons and picks random points
+ * inside them for area (roaming) patrols. Containment uses the even-odd
+ * rule across all polygons, so region holes are respected.
+ *
+ * @module AreaSampler
+ */
+
+import { debug } from './main.js'
+
+/**
+ * AreaSampler - random point selection inside drawn areas and regions
+ */
+export class AreaSampler {
+
+    /**
+     * Area source types
+     * @type {Object<string, string>}
+     */
+    static TYPES = {
+        DRAWING: 'drawing',
+        REGION: 'region'
+    }
+
+    /**
+     * Segments used to approximate an ellipse drawing
+     * @type {number}
+     */
+    static ELLIPSE_SEGMENTS = 32
+
+    /**
+     * Resolve an area reference to polygons in scene pixel coordinates
+     * @param {Scene} scene
+     * @param {{type: string, id: string}} area
+     * @returns {Array<PIXI.Polygon>}
+     */
+    static getPolygons(scene, area) {
+        if (!scene || !area?.type || !area?.id) return []
+
+        if (area.type === AreaSampler.TYPES.DRAWING) {
+            const drawing = scene.drawings.get(area.id)
+            const polygon = drawing ? AreaSampler._drawingPolygon(drawing) : null
+            return polygon ? [polygon] : []
+        }
+
+        if (area.type === AreaSampler.TYPES.REGION) {
+            const region = scene.regions?.get(area.id)
+            return region?.polygons ? [...region.polygons] : []
+        }
+
+        return []
+    }
+
+    /**
+     * Build a polygon from a drawing's shape, position and rotation
+     * @param {DrawingDocument} drawing
+     * @returns {PIXI.Polygon|null}
+     * @private
+     */
+    static _drawingPolygon(drawing) {
+        const { shape, x, y, rotation = 0 } = drawing
+        const width = shape.width || 0
+        const height = shape.height || 0
+
+        let local = []
+        switch (shape.type) {
+            // Rectangle
+            case 'r':
+                local = [0, 0, width, 0, width, height, 0, height]
+                break
+
+            // Ellipse
+            case 'e': {
+                const segments = AreaSampler.ELLIPSE_SEGMENTS
+                for (let i = 0; i < segments; i++) {
+                    const angle = (i / segments) * Math.PI * 2
+                    local.push(width / 2 + Math.cos(angle) * width / 2, height / 2 + Math.sin(angle) * height / 2)
+                }
+                break
+            }
+
+            // Polygon and freehand
+            default:
+                local = [...(shape.points || [])]
+        }
+
+        if (local.length < 6) return null
+
+        // Drawings rotate about their center
+        const radians = rotation * (Math.PI / 180)
+        const cos = Math.cos(radians)
+        const sin = Math.sin(radians)
+        const cx = width / 2
+        const cy = height / 2
+
+        const points = []
+        for (let i = 0; i < local.length; i += 2) {
+            const dx = local[i] - cx
+            const dy = local[i + 1] - cy
+            points.push(x + cx + dx * cos - dy * sin, y + cy + dx * sin + dy * cos)
+        }
+
+        return new PIXI.Polygon(points)
+    }
+
+    /**
+     * Check whether a point is inside the area
+     * @param {Array<PIXI.Polygon>} polygons
+     * @param {Point} point
+     * @returns {boolean}
+     */
+    static contains(polygons, point) {
+        let inside = false
+        for (const polygon of polygons) {
+            if (polygon.contains(point.x, point.y)) inside = !inside
+        }
+        return inside
+    }
+
+    /**
+     * Bounding box of all polygons
+     * @param {Array<PIXI.Polygon>} polygons
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    static getBounds(polygons) {
+        let minX = Infinity
+        let minY = Infinity
+        let maxX = -Infinity
+        let maxY = -Infinity
+
+        for (const polygon of polygons) {
+            const points = polygon.points
+            for (let i = 0; i < points.length; i += 2) {
+                minX = Math.min(minX, points[i])
+                maxX = Math.max(maxX, points[i])
+                minY = Math.min(minY, points[i + 1])
+                maxY = Math.max(maxY, points[i + 1])
+            }
+        }
+
+        if (!Number.isFinite(minX)) return null
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+    }
+
+    /**
+     * Pick a random point inside the area by rejection sampling
+     * @param {Array<PIXI.Polygon>} polygons
+     * @param {Object} options
+     * @param {Point|null} options.previous - Last point picked
+     * @param {number} options.minSpacing - Minimum pixels from `previous`
+     * @param {Point[]} options.avoid - Points to keep away from
+     * @param {number} options.avoidRadius - Pixels to keep from each avoided point
+     * @param {Function} options.isReachable - (point) => boolean
+     * @param {number} options.attempts - Candidates to try before giving up
+     * @returns {Point|null}
+     */
+    static samplePoint(polygons, options = {}) {
+        const {
+            previous = null,
+            minSpacing = 0,
+            avoid = [],
+            avoidRadius = 0,
+            isReachable = () => true,
+            attempts = 30
+        } = options
+
+        const bounds = AreaSampler.getBounds(polygons)
+        if (!bounds) return null
+
+        for (let i = 0; i < attempts; i++) {
+            const candidate = AreaSampler._snap({
+                x: bounds.x + Math.random() * bounds.width,
+                y: bounds.y + Math.random() * bounds.height
+            })
+
+            if (!AreaSampler.contains(polygons, candidate)) continue
+            if (previous && Math.hypot(candidate.x - previous.x, candidate.y - previous.y) < minSpacing) continue
+            if (avoidRadius > 0 && avoid.some(p => Math.hypot(candidate.x - p.x, candidate.y - p.y) < avoidRadius)) continue
+
+            // Reachability is the expensive check, so it goes last
+            if (!isReachable(candidate)) continue
+
+            return candidate
+        }
+
+        debug(`No area point found after ${attempts} attempts`)
+        return null
+    }
+
+    /**
+     * Snap a point to the center of its grid space
+     * @param {Point} point
+     * @returns {Point}
+     * @private
+     */
+    static _snap(point) {
+        const grid = canvas.grid
+        const gridless = grid.isGridless ?? grid.type === CONST.GRID_TYPES.GRIDLESS
+        if (gridless || !grid.getCenterPoint) return point
+
+        const { x, y } = grid.getCenterPoint(point)
+        return { x, y }
+    }
+}
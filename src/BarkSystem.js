@@ -6,7 +6,7 @@
  * @module BarkSystem
  */
 
-import { MODULE_ID, debug } from './main.js'
+import { MODULE_ID, ALERT_STATES, debug, isPrimaryGM } from './main.js'
 import { getSetting } from './settings.js'
 
 /**
@@ -34,7 +34,10 @@ export const BARK_TYPES = {
     // Alert states
     ALERT: 'alert',
     INVESTIGATE: 'investigate',
-    ALL_CLEAR: 'all_clear'
+    ALL_CLEAR: 'all_clear',
+    
+    // Clearance
+    CHALLENGE: 'challenge'
 }
 
 /**
@@ -132,6 +135,13 @@ export const BARK_TEXT = {
         "Nothing to worry about.",
         "Stand down.",
         "Back to normal patrol."
+    ],
+    [BARK_TYPES.CHALLENGE]: [
+        "Halt! Who goes there?",
+        "Papers, please.",
+        "You there. State your business.",
+        "Hold it. Let's see some identification.",
+        "Not so fast. What's the word?"
     ]
 }
 
@@ -166,6 +176,30 @@ export class BarkSystem {
     initialize() {
         debug('BarkSystem initialized')
         this._loadCustomSounds()
+        
+        Hooks.on('rnkPatrol.alertStateChanged', this._onAlertStateChanged.bind(this))
+        Hooks.on('rnkPatrol.challenge', patrol => {
+            if (isPrimaryGM()) this.play(BARK_TYPES.CHALLENGE, patrol)
+        })
+    }
+    
+    /**
+     * Have the guard call out alert transitions
+     * @param {Patrol} patrol
+     * @param {string} alertState - New state
+     * @param {string} previous - Old state
+     * @param {Object} transition - See Patrol#setAlertState
+     */
+    _onAlertStateChanged(patrol, alertState, previous, transition = {}) {
+        if (!isPrimaryGM()) return
+        if (transition.reason === 'restore') return
+        
+        let type = null
+        if (alertState === ALERT_STATES.INVESTIGATING || alertState === ALERT_STATES.SEARCHING) type = BARK_TYPES.INVESTIGATE
+        else if (alertState === ALERT_STATES.ALERT) type = BARK_TYPES.ALERT
+        else if (alertState === ALERT_STATES.IDLE && ['decay', 'allClear'].includes(transition.reason)) type = BARK_TYPES.ALL_CLEAR
+        
+        if (type) this.play(type, patrol)
     }
     
     /**
@@ -322,7 +356,8 @@ export class BarkSystem {
             [BARK_TYPES.BLINDFOLD_RELEASE]: `${basePath}26. Get Out of Here.wav`,
             [BARK_TYPES.ALERT]: `${basePath}10. Intruder.wav`,
             [BARK_TYPES.INVESTIGATE]: `${basePath}37. What Are You Doing_.wav`,
-            [BARK_TYPES.ALL_CLEAR]: `${basePath}11. Move Along.wav`
+            [BARK_TYPES.ALL_CLEAR]: `${basePath}11. Move Along.wav`,
+            [BARK_TYPES.CHALLENGE]: `${basePath}09. Who Goes There_.wav`
         }
         
         return sounds[type] || null
@@ -0,0 +1,167 @@
+/**
+ * RNK Patrol - Body System
+ *
+ * Guards notice what is left behind. While a guard watches from a
+ * waypoint it also looks for bodies: NPC tokens at 0 HP (read through the
+ * system adapter) or carrying a defeated, unconscious or similar status.
+ * It also notices a missing comrade, a patrol token that was deleted,
+ * when it looks at the spot where that comrade was last standing.
+ *
+ * A guard that finds either searches the area, and can optionally call
+ * for reinforcements. Hidden tokens and tokens out of the guard's line of
+ * sight stay undiscovered, so hiding a body is worth the trouble.
+ *
+ * @module BodySystem
+ */
+
+import { MODULE_ID, debug } from './main.js'
+import { getSetting } from './settings.js'
+import { getAdapter } from './systemAdapters/index.js'
+
+/**
+ * Status effect IDs that leave a token helpless on the floor
+ * @type {string[]}
+ */
+export const INCAPACITATED_STATUSES = ['dead', 'unconscious', 'sleep', 'incapacitated', 'paralysis', 'petrified']
+
+/**
+ * BodySystem - bodies, unconscious tokens and missing comrades
+ */
+export class BodySystem {
+
+    constructor() {
+        /**
+         * Patrol tokens deleted this session, by scene ID
+         * @type {Map<string, Object[]>}
+         */
+        this._missing = new Map()
+    }
+
+    /**
+     * Initialize the body system
+     */
+    initialize() {
+        debug('BodySystem initialized')
+    }
+
+    /**
+     * Check whether guards look for bodies at all
+     * @returns {boolean}
+     */
+    get isEnabled() {
+        return getSetting('bodyDetection', true)
+    }
+
+    /**
+     * Check whether a discovery calls for reinforcements
+     * @returns {boolean}
+     */
+    get callsReinforcements() {
+        return getSetting('bodyReinforcements', false)
+    }
+
+    // ==========================================
+    // Bodies
+    // ==========================================
+
+    /**
+     * Check whether a token is dead, unconscious or otherwise helpless
+     * @param {Token} token
+     * @returns {boolean}
+     */
+    isIncapacitated(token) {
+        const actor = token?.actor
+        if (!actor) return false
+
+        const defeated = CONFIG.specialStatusEffects?.DEFEATED ?? 'dead'
+        if (actor.statuses?.has(defeated) || token.combatant?.isDefeated) return true
+        if (INCAPACITATED_STATUSES.some(status => actor.statuses?.has(status))) return true
+
+        // Only actors that have hit points at all can run out of them
+        const adapter = getAdapter()
+        const value = hp => Number(typeof hp === 'object' ? hp?.value : hp)
+        const max = value(adapter.getActorMaxHp(token))
+        const hp = value(adapter.getActorHp(token))
+        return max > 0 && Number.isFinite(hp) && hp <= 0
+    }
+
+    /**
+     * Check whether a token is one a guard would count as a body. Player
+     * characters are intruders first; normal detection handles them
+     * @param {Token} token
+     * @returns {boolean}
+     */
+    isBody(token) {
+        if (!token?.actor || token.document.hidden || token.actor.hasPlayerOwner) return false
+        return this.isIncapacitated(token)
+    }
+
+    // ==========================================
+    // Missing Comrades
+    // ==========================================
+
+    /**
+     * Remember where a deleted patrol token was last standing
+     * @param {Patrol} patrol
+     * @param {TokenDocument} tokenDoc
+     */
+    recordMissing(patrol, tokenDoc) {
+        const sceneId = tokenDoc.parent?.id
+        if (!sceneId) return
+
+        const size = tokenDoc.parent.grid?.size ?? canvas.grid.size
+        const record = {
+            id: tokenDoc.id,
+            name: tokenDoc.name,
+            patrolId: patrol.id,
+            x: tokenDoc.x + (tokenDoc.width * size) / 2,
+            y: tokenDoc.y + (tokenDoc.height * size) / 2
+        }
+
+        const missing = this._missing.get(sceneId) ?? []
+        missing.push(record)
+        this._missing.set(sceneId, missing)
+
+        debug(`${tokenDoc.name} of ${patrol.name} is missing`)
+    }
+
+    /**
+     * Missing comrades on a scene
+     * @param {string} sceneId
+     * @returns {Object[]}
+     */
+    getMissing(sceneId = canvas.scene?.id) {
+        return this._missing.get(sceneId) ?? []
+    }
+
+    /**
+     * Forget the missing comrades on a scene
+     * @param {string} sceneId
+     */
+    clearMissing(sceneId = canvas.scene?.id) {
+        this._missing.delete(sceneId)
+    }
+
+    // ==========================================
+    // Discovery
+    // ==========================================
+
+    /**
+     * Tell the GM what a guard found
+     * @param {Patrol} patrol
+     * @param {Object} discovery - See Patrol#_discover
+     */
+    notify(patrol, discovery) {
+        ui.notifications.warn(game.i18n.format(`${MODULE_ID}.bodies.${discovery.missing ? 'missing' : 'found'}`, {
+            patrol: patrol.name,
+            name: discovery.name
+        }))
+
+        if (this.callsReinforcements) {
+            Hooks.callAll(`${MODULE_ID}.alert`, patrol, [])
+        }
+    }
+}
+
+// Export singleton
+export const bodySystem = new BodySystem()
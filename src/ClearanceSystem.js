@@ -0,0 +1,377 @@
+/**
+ * RNK Patrol - Clearance System
+ *
+ * Lets guards wave through tokens that have the right to be there.
+ * A clearance rule matches a token by an actor flag, an item it carries
+ * (uniform, badge, writ), an active effect, or a password the GM has
+ * recorded the token speaking. A matching rule either makes the patrol
+ * ignore the token or downgrades the encounter to a challenge.
+ *
+ * Rules belong to one patrol, or to a faction so they apply to every
+ * patrol of that faction: a guild badge only works on guild guards.
+ *
+ * @module ClearanceSystem
+ */
+
+import { MODULE_ID, debug, error, warn, isPrimaryGM } from './main.js'
+import { getSetting, setSetting } from './settings.js'
+import { getAdapter } from './systemAdapters/index.js'
+
+/**
+ * What a clearance rule checks on the token
+ */
+export const CLEARANCE_TYPES = {
+    FLAG: 'flag',
+    ITEM: 'item',
+    EFFECT: 'effect',
+    PASSWORD: 'password'
+}
+
+/**
+ * What a patrol does with a token that matches a rule
+ */
+export const CLEARANCE_RESULTS = {
+    IGNORE: 'ignore',
+    CHALLENGE: 'challenge'
+}
+
+/**
+ * ClearanceSystem - disguises, passwords and faction clearance
+ */
+export class ClearanceSystem {
+
+    /**
+     * Initialize the clearance system
+     */
+    initialize() {
+        debug('ClearanceSystem initialized')
+
+        Hooks.on('chatMessage', this._onChatCommand.bind(this))
+    }
+
+    // ==========================================
+    // Rules
+    // ==========================================
+
+    /**
+     * Normalise a faction name so "Thieves' Guild" and "thieves' guild" match
+     * @param {string} faction
+     * @returns {string}
+     */
+    static factionKey(faction) {
+        return String(faction ?? '').trim().toLowerCase()
+    }
+
+    /**
+     * Clearance rules shared by every patrol of a faction
+     * @param {string} faction
+     * @returns {Object[]}
+     */
+    getFactionRules(faction) {
+        const key = ClearanceSystem.factionKey(faction)
+        if (!key) return []
+        return getSetting('factionClearances', {})?.[key] ?? []
+    }
+
+    /**
+     * Replace a faction's clearance rules
+     * @param {string} faction
+     * @param {Object[]} rules
+     */
+    async setFactionRules(faction, rules) {
+        const key = ClearanceSystem.factionKey(faction)
+        if (!key) return
+
+        const all = foundry.utils.deepClone(getSetting('factionClearances', {}) ?? {})
+        if (rules?.length) all[key] = rules.map(rule => ClearanceSystem.cleanRule(rule))
+        else delete all[key]
+
+        await setSetting('factionClearances', all)
+    }
+
+    /**
+     * Every rule that applies to a patrol: its own, then its faction's
+     * @param {Patrol} patrol
+     * @returns {Object[]}
+     */
+    getRules(patrol) {
+        return [...(patrol.clearances ?? []), ...this.getFactionRules(patrol.faction)]
+    }
+
+    /**
+     * Fill in a rule's defaults
+     * @param {Object} rule
+     * @returns {{type: string, value: string, result: string}}
+     */
+    static cleanRule(rule = {}) {
+        return {
+            type: Object.values(CLEARANCE_TYPES).includes(rule.type) ? rule.type : CLEARANCE_TYPES.ITEM,
+            value: String(rule.value ?? '').trim(),
+            result: Object.values(CLEARANCE_RESULTS).includes(rule.result) ? rule.result : CLEARANCE_RESULTS.IGNORE
+        }
+    }
+
+    // ==========================================
+    // Checks
+    // ==========================================
+
+    /**
+     * How a patrol treats a token. A rule that ignores the token wins over
+     * one that only challenges it
+     * @param {Patrol} patrol
+     * @param {Token} token
+     * @returns {{result: string|null, rule: Object|null}} result is null when no rule matches
+     */
+    check(patrol, token) {
+        let challenge = null
+        for (const rule of this.getRules(patrol)) {
+            if (!this.matches(rule, token)) continue
+            if (rule.result === CLEARANCE_RESULTS.IGNORE) return { result: rule.result, rule }
+            challenge ??= rule
+        }
+        return challenge ? { result: CLEARANCE_RESULTS.CHALLENGE, rule: challenge } : { result: null, rule: null }
+    }
+
+    /**
+     * Check whether a token meets a rule
+     * @param {Object} rule
+     * @param {Token} token
+     * @returns {boolean}
+     */
+    matches(rule, token) {
+        const actor = token?.actor
+        const value = String(rule?.value ?? '').trim()
+        if (!actor || !value) return false
+
+        const name = value.toLowerCase()
+        switch (rule.type) {
+            case CLEARANCE_TYPES.FLAG:
+                return this._matchesFlag(value, token)
+
+            case CLEARANCE_TYPES.ITEM:
+                // Systems that track equipping want the uniform worn, not packed
+                return actor.items.some(item => item.name?.toLowerCase() === name && item.system?.equipped !== false)
+
+            case CLEARANCE_TYPES.EFFECT:
+                if (actor.statuses?.has(value)) return true
+                return Array.from(actor.appliedEffects ?? actor.effects ?? [])
+                    .some(effect => !effect.disabled && effect.name?.toLowerCase() === name)
+
+            case CLEARANCE_TYPES.PASSWORD:
+                return this.getPasswords(token).includes(name)
+
+            default:
+                return false
+        }
+    }
+
+    /**
+     * Match "scope.key" (any truthy value) or "scope.key=value" against the
+     * token's flags, then its actor's
+     * @param {string} value
+     * @param {Token} token
+     * @returns {boolean}
+     * @private
+     */
+    _matchesFlag(value, token) {
+        const [path, expected] = value.split('=').map(part => part.trim())
+        for (const flags of [token.document.flags, token.actor.flags]) {
+            const flag = foundry.utils.getProperty(flags, path)
+            if (flag === undefined || flag === null) continue
+            return expected === undefined ? !!flag : String(flag) === expected
+        }
+        return false
+    }
+
+    // ==========================================
+    // Passwords
+    // ==========================================
+
+    /**
+     * Passwords the GM has recorded a token speaking. They are kept in a
+     * world setting, not on the actor, so players cannot write their own
+     * @param {Token} token
+     * @returns {string[]} Lower case
+     */
+    getPasswords(token) {
+        const actorId = token?.actor?.id
+        if (!actorId) return []
+        return getSetting('spokenPasswords', {})?.[actorId] ?? []
+    }
+
+    /**
+     * Record that a token spoke a password
+     * @param {Token} token
+     * @param {string} password
+     */
+    async recordPassword(token, password) {
+        const spoken = String(password ?? '').trim().toLowerCase()
+        if (!token?.actor || !spoken) return
+
+        const passwords = this.getPasswords(token)
+        if (passwords.includes(spoken)) return
+
+        await this._setPasswords(token, [...passwords, spoken])
+        debug(`${token.name} spoke the password "${spoken}"`)
+    }
+
+    /**
+     * Forget one password a token spoke, or all of them
+     * @param {Token} token
+     * @param {string} [password]
+     */
+    async forgetPassword(token, password) {
+        if (!token?.actor) return
+        if (!password) {
+            await this._setPasswords(token, [])
+            return
+        }
+
+        const spoken = String(password).trim().toLowerCase()
+        await this._setPasswords(token, this.getPasswords(token).filter(p => p !== spoken))
+    }
+
+    /**
+     * Replace the passwords recorded for a token's actor
+     * @param {Token} token
+     * @param {string[]} passwords
+     * @private
+     */
+    async _setPasswords(token, passwords) {
+        const all = foundry.utils.deepClone(getSetting('spokenPasswords', {}) ?? {})
+        if (passwords.length) all[token.actor.id] = passwords
+        else delete all[token.actor.id]
+
+        await setSetting('spokenPasswords', all)
+    }
+
+    // ==========================================
+    // Challenges
+    // ==========================================
+
+    /**
+     * Settle a challenged token's answer, on the primary GM:
+     * - papers: the GM judges the credentials
+     * - password: the word must be one of the patrol's password rules
+     * - bluff: Deception against the guard's passive Perception
+     * - flee: the guard gives chase as for any detection
+     * @param {Patrol} patrol
+     * @param {Token} token
+     * @param {string} decision - papers, password, bluff or flee
+     * @param {Object} [options]
+     * @param {string} [options.password] - The word the player gave
+     * @param {string} [options.userId] - The answering user, who must own the token
+     * @returns {Promise<boolean>} Whether the token was let through
+     */
+    async resolveChallenge(patrol, token, decision, { password = '', userId = null } = {}) {
+        if (!isPrimaryGM() || !patrol._challengedTokens.has(token.id)) return false
+
+        const user = userId ? game.users.get(userId) : null
+        if (userId && !(user && token.actor?.testUserPermission(user, 'OWNER'))) {
+            warn(`Rejected challenge answer from ${user?.name ?? userId}: not an owner of ${token.name}`)
+            return false
+        }
+
+        let passed = false
+        switch (decision) {
+            case 'papers':
+                passed = await this._judgePapers(patrol, token)
+                break
+
+            case 'password': {
+                const spoken = String(password ?? '').trim().toLowerCase()
+                passed = !!spoken && this.getRules(patrol).some(rule => rule.type === CLEARANCE_TYPES.PASSWORD
+                    && String(rule.value ?? '').trim().toLowerCase() === spoken)
+                if (passed) await this.recordPassword(token, spoken)
+                break
+            }
+
+            case 'bluff':
+                passed = await this._rollBluff(patrol, token)
+                break
+        }
+
+        await ChatMessage.create({
+            speaker: { alias: patrol.name },
+            content: game.i18n.format(`${MODULE_ID}.clearance.challenge.${passed ? 'passed' : 'failed'}`, {
+                patrol: patrol.name,
+                token: token.name
+            })
+        })
+
+        if (passed) Hooks.callAll('rnkPatrol.challengePassed', patrol, token, decision)
+        else await patrol.failChallenge(token)
+        return passed
+    }
+
+    /**
+     * Ask the GM whether a token's credentials satisfy the guard
+     * @param {Patrol} patrol
+     * @param {Token} token
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _judgePapers(patrol, token) {
+        const escape = foundry.utils.escapeHTML
+        return Dialog.confirm({
+            title: game.i18n.localize(`${MODULE_ID}.clearance.challenge.title`),
+            content: `<p>${game.i18n.format(`${MODULE_ID}.clearance.challenge.judgePapers`, {
+                patrol: escape(patrol.name),
+                token: escape(token.name)
+            })}</p>`,
+            yes: () => true,
+            no: () => false,
+            defaultYes: false
+        })
+    }
+
+    /**
+     * Roll the token's Deception against the guard's passive Perception.
+     * Ties go to the guard
+     * @param {Patrol} patrol
+     * @param {Token} token
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _rollBluff(patrol, token) {
+        const adapter = getAdapter()
+        const roll = await adapter.rollDeception(token.actor)
+        await roll.toMessage({
+            speaker: ChatMessage.getSpeaker({ token: token.document }),
+            flavor: game.i18n.format(`${MODULE_ID}.clearance.challenge.bluffFlavor`, { patrol: patrol.name })
+        })
+        return roll.total > adapter.getPerception(patrol.token?.actor)
+    }
+
+    /**
+     * Handle the GM's /password <word> chat command, recorded for the
+     * selected tokens
+     * @param {ChatLog} chatLog
+     * @param {string} message
+     * @returns {boolean|void} False to keep the command out of chat
+     * @private
+     */
+    _onChatCommand(chatLog, message) {
+        const match = message.trim().match(/^\/password\s+(.+)$/i)
+        if (!match || !game.user.isGM) return
+
+        const tokens = canvas.tokens?.controlled ?? []
+        if (!tokens.length) {
+            ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.clearance.noToken`))
+            return false
+        }
+
+        // One at a time: every token writes the same setting
+        const record = async () => {
+            for (const token of tokens) await this.recordPassword(token, match[1])
+            ui.notifications.info(game.i18n.format(`${MODULE_ID}.clearance.passwordRecorded`, {
+                tokens: tokens.map(t => t.name).join(', ')
+            }))
+        }
+        record().catch(err => error('Could not record the password:', err))
+        return false
+    }
+}
+
+// Export singleton
+export const clearanceSystem = new ClearanceSystem()
@@ -0,0 +1,402 @@
+/**
+ * RNK Patrol - Detection Scheduler
+ *
+ * Keeps detection cheap on crowded scenes. Three parts:
+ * - A spatial index that buckets tokens by position, so a guard only
+ *   looks at the tokens near its waypoint instead of every token
+ * - A queue that runs patrol detection passes over several frames, within
+ *   a time budget per frame, instead of all at once
+ * - An optional GM overlay showing what each pass costs
+ *
+ * Line of sight results are cached by PatrolDetection and cleared here
+ * when walls change.
+ *
+ * @module DetectionScheduler
+ */
+
+import { MODULE_ID, debug, error } from './main.js'
+import { getSetting } from './settings.js'
+import { PatrolDetection } from './PatrolDetection.js'
+
+/**
+ * DetectionScheduler - spatial index, frame budget and cost overlay
+ */
+export class DetectionScheduler {
+
+    /**
+     * Grid squares along each side of an index bucket
+     * @type {number}
+     */
+    static BUCKET_SQUARES = 4
+
+    /**
+     * Milliseconds before a queued pass runs anyway. Animation frames stop
+     * in a background tab, and detection must not stop with them
+     * @type {number}
+     */
+    static FALLBACK_DELAY = 100
+
+    /**
+     * Milliseconds between overlay redraws
+     * @type {number}
+     */
+    static OVERLAY_INTERVAL = 250
+
+    /**
+     * Patrols listed on the overlay
+     * @type {number}
+     */
+    static OVERLAY_ROWS = 8
+
+    /**
+     * ID of the overlay element
+     * @type {string}
+     */
+    static OVERLAY_ID = 'rnk-patrol-detection-overlay'
+
+    constructor() {
+        /**
+         * Tokens by bucket key ("column,row"), or null when out of date
+         * @type {Map<string, Token[]>|null}
+         */
+        this._buckets = null
+
+        /**
+         * Pixels along each side of a bucket when the index was built
+         * @type {number}
+         */
+        this._bucketSize = 0
+
+        /**
+         * Patrols waiting for a detection pass, in request order
+         * @type {Set<Patrol>}
+         */
+        this._queue = new Set()
+
+        /**
+         * Pending animation frame and fallback timeout
+         * @type {{frame: number|null, timeout: number|null}}
+         */
+        this._pending = { frame: null, timeout: null }
+
+        /**
+         * Patrols whose last pass is still finishing off-budget work, such as
+         * a detection action waiting on the server
+         * @type {Set<Patrol>}
+         */
+        this._inFlight = new Set()
+
+        /**
+         * Cost of recent passes, by patrol ID
+         * @type {Map<string, {name: string, last: number, average: number, passes: number}>}
+         */
+        this._costs = new Map()
+
+        /**
+         * The last frame's work
+         * @type {{passes: number, time: number, queued: number}}
+         */
+        this._lastFrame = { passes: 0, time: 0, queued: 0 }
+
+        /**
+         * Time the overlay was last drawn
+         * @type {number}
+         */
+        this._overlayDrawn = 0
+    }
+
+    /**
+     * Initialize the detection scheduler
+     */
+    initialize() {
+        debug('DetectionScheduler initialized')
+
+        const invalidate = () => this.invalidateIndex()
+        Hooks.on('createToken', invalidate)
+        Hooks.on('deleteToken', invalidate)
+        Hooks.on('updateToken', (tokenDoc, changes) => {
+            if (['x', 'y', 'width', 'height', 'hidden'].some(key => key in changes)) this.invalidateIndex()
+        })
+        Hooks.on('canvasReady', () => this.reset())
+
+        const clearSight = () => PatrolDetection.clearLineOfSightCache()
+        Hooks.on('createWall', clearSight)
+        Hooks.on('updateWall', clearSight)
+        Hooks.on('deleteWall', clearSight)
+    }
+
+    /**
+     * Milliseconds of detection work allowed per frame
+     * @returns {number}
+     */
+    get budget() {
+        return Number(getSetting('detectionBudget', 4)) || 4
+    }
+
+    /**
+     * Check whether this client shows the cost overlay
+     * @returns {boolean}
+     */
+    get showOverlay() {
+        return game.user?.isGM && getSetting('detectionOverlay', false)
+    }
+
+    /**
+     * Forget everything about the current scene
+     */
+    reset() {
+        this.invalidateIndex()
+        this._queue.clear()
+        this._inFlight.clear()
+        this._costs.clear()
+        PatrolDetection.clearLineOfSightCache()
+        this._drawOverlay(true)
+    }
+
+    // ==========================================
+    // Spatial Index
+    // ==========================================
+
+    /**
+     * Mark the index out of date; it is rebuilt on the next lookup
+     */
+    invalidateIndex() {
+        this._buckets = null
+    }
+
+    /**
+     * Tokens that may lie within a radius of a point. The caller still
+     * measures the real distance; this only rules out distant buckets
+     * @param {Point} point
+     * @param {number} radius - Pixels
+     * @returns {Token[]}
+     */
+    getTokensNear(point, radius) {
+        if (!canvas.tokens) return []
+
+        const buckets = this._getBuckets()
+        const size = this._bucketSize
+
+        // Tokens are bucketed where their document stands; pad by a bucket
+        // so a token still animating towards it is not missed
+        const reach = radius + size
+        const minCol = Math.floor((point.x - reach) / size)
+        const maxCol = Math.floor((point.x + reach) / size)
+        const minRow = Math.floor((point.y - reach) / size)
+        const maxRow = Math.floor((point.y + reach) / size)
+
+        const tokens = []
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const bucket = buckets.get(`${col},${row}`)
+                if (bucket) tokens.push(...bucket)
+            }
+        }
+        return tokens
+    }
+
+    /**
+     * The index, rebuilt if tokens moved since it was built
+     * @returns {Map<string, Token[]>}
+     * @private
+     */
+    _getBuckets() {
+        if (this._buckets) return this._buckets
+
+        const size = canvas.grid.size * DetectionScheduler.BUCKET_SQUARES
+        const buckets = new Map()
+        for (const token of canvas.tokens.placeables) {
+            const doc = token.document
+            const x = doc.x + (doc.width * canvas.grid.size) / 2
+            const y = doc.y + (doc.height * canvas.grid.size) / 2
+            const key = `${Math.floor(x / size)},${Math.floor(y / size)}`
+
+            const bucket = buckets.get(key)
+            if (bucket) bucket.push(token)
+            else buckets.set(key, [token])
+        }
+
+        this._bucketSize = size
+        this._buckets = buckets
+        return buckets
+    }
+
+    // ==========================================
+    // Scheduling
+    // ==========================================
+
+    /**
+     * Queue a detection pass for a patrol. A patrol already waiting keeps
+     * its place rather than being queued twice
+     * @param {Patrol} patrol
+     */
+    request(patrol) {
+        this._queue.add(patrol)
+        this._schedule()
+    }
+
+    /**
+     * Drop a patrol's queued pass
+     * @param {Patrol} patrol
+     */
+    cancel(patrol) {
+        this._queue.delete(patrol)
+    }
+
+    /**
+     * Work through the queue on the next frame
+     * @private
+     */
+    _schedule() {
+        if (this._pending.frame || this._pending.timeout) return
+
+        const run = () => {
+            cancelAnimationFrame(this._pending.frame)
+            clearTimeout(this._pending.timeout)
+            this._pending = { frame: null, timeout: null }
+            this._drain()
+        }
+        this._pending = {
+            frame: requestAnimationFrame(run),
+            timeout: setTimeout(run, DetectionScheduler.FALLBACK_DELAY)
+        }
+    }
+
+    /**
+     * Run queued passes until the frame's budget is spent. At least one
+     * pass runs each frame, however long it takes. Only the synchronous
+     * part of a pass is timed; anything it leaves waiting on the server
+     * finishes outside the budget, and the patrol is skipped until it has
+     * @private
+     */
+    _drain() {
+        const start = performance.now()
+        let passes = 0
+
+        for (const patrol of this._queue) {
+            if (passes && performance.now() - start >= this.budget) break
+            this._queue.delete(patrol)
+            if (!patrol.detectEnabled || !patrol.isActive || game.paused) continue
+            if (this._inFlight.has(patrol)) continue
+
+            const passStart = performance.now()
+            let pass = null
+            try {
+                pass = patrol._runDetection()
+            } catch (err) {
+                error(`Detection failed for ${patrol.name}:`, err)
+            }
+            this._recordCost(patrol, performance.now() - passStart)
+            passes++
+
+            if (pass instanceof Promise) {
+                this._inFlight.add(patrol)
+                pass.catch(err => error(`Detection failed for ${patrol.name}:`, err))
+                    .finally(() => this._inFlight.delete(patrol))
+            }
+        }
+
+        this._lastFrame = { passes, time: performance.now() - start, queued: this._queue.size }
+        this._drawOverlay()
+
+        if (this._queue.size) this._schedule()
+    }
+
+    /**
+     * Remember what a patrol's pass cost
+     * @param {Patrol} patrol
+     * @param {number} time - Milliseconds
+     * @private
+     */
+    _recordCost(patrol, time) {
+        const cost = this._costs.get(patrol.id)
+        if (!cost) {
+            this._costs.set(patrol.id, { name: patrol.name, last: time, average: time, passes: 1 })
+            return
+        }
+
+        cost.name = patrol.name
+        cost.last = time
+        cost.average += (time - cost.average) * 0.2
+        cost.passes++
+    }
+
+    /**
+     * Pass costs so far, most expensive first
+     * @returns {Object[]}
+     */
+    getCosts() {
+        return Array.from(this._costs.entries(), ([id, cost]) => ({ id, ...cost }))
+            .sort((a, b) => b.average - a.average)
+    }
+
+    // ==========================================
+    // Overlay
+    // ==========================================
+
+    /**
+     * Turn the cost overlay on or off for this client
+     * @param {boolean} [show] - Defaults to the opposite of the current state
+     */
+    async toggleOverlay(show = !getSetting('detectionOverlay', false)) {
+        await game.settings.set(MODULE_ID, 'detectionOverlay', show)
+        this._drawOverlay(true)
+    }
+
+    /**
+     * Draw the overlay, at most every OVERLAY_INTERVAL milliseconds
+     * @param {boolean} [force=false] - Draw now, and remove it if it is turned off
+     * @private
+     */
+    _drawOverlay(force = false) {
+        let overlay = document.getElementById(DetectionScheduler.OVERLAY_ID)
+        if (!this.showOverlay) {
+            overlay?.remove()
+            return
+        }
+
+        const now = performance.now()
+        if (!force && now - this._overlayDrawn < DetectionScheduler.OVERLAY_INTERVAL) return
+        this._overlayDrawn = now
+
+        if (!overlay) {
+            overlay = document.createElement('div')
+            overlay.id = DetectionScheduler.OVERLAY_ID
+            document.body.appendChild(overlay)
+        }
+
+        const { passes, time, queued } = this._lastFrame
+        const { hits, misses } = PatrolDetection.losStats
+        const lookups = hits + misses
+        const lines = [
+            game.i18n.format(`${MODULE_ID}.detectionOverlay.frame`, {
+                passes,
+                time: time.toFixed(2),
+                budget: this.budget,
+                queued
+            }),
+            game.i18n.format(`${MODULE_ID}.detectionOverlay.lineOfSight`, {
+                rate: lookups ? Math.round((hits / lookups) * 100) : 0,
+                size: PatrolDetection._losCache.size
+            }),
+            game.i18n.format(`${MODULE_ID}.detectionOverlay.index`, {
+                tokens: canvas.tokens?.placeables.length ?? 0,
+                buckets: this._buckets?.size ?? 0
+            })
+        ]
+
+        const rows = this.getCosts().slice(0, DetectionScheduler.OVERLAY_ROWS)
+            .map(cost => `${cost.name}: ${cost.average.toFixed(2)} ms (${cost.last.toFixed(2)})`)
+
+        // Patrol names are user text, so build the rows as text nodes
+        overlay.replaceChildren(...[...lines, ...rows].map((text, index) => {
+            const line = document.createElement('div')
+            if (index === lines.length - 1) line.className = 'section-end'
+            line.textContent = text
+            return line
+        }))
+    }
+}
+
+// Export singleton
+export const detectionScheduler = new DetectionScheduler()
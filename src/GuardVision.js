@@ -0,0 +1,156 @@
+/**
+ * RNK Patrol - Guard Vision
+ *
+ * Decides whether a guard perceives a token that is inside its waypoint's
+ * range and cone. Two backends:
+ * - geometric: the detection radius, shrunk by light (see Lighting), with
+ *   an optional straight-line wall test. Cheap, and the default
+ * - foundry: the guard token's own vision and detection modes, as Foundry
+ *   uses them for players. This respects sight ranges, limited and terrain
+ *   walls, invisibility, see invisibility, tremorsense and the like
+ *
+ * Guards whose token has no vision enabled always use the geometric check.
+ *
+ * @module GuardVision
+ */
+
+import { MODULE_ID } from './main.js'
+import { getSetting } from './settings.js'
+import { Lighting } from './Lighting.js'
+import { PatrolDetection } from './PatrolDetection.js'
+
+/**
+ * GuardVision - perception checks for guard tokens
+ */
+export class GuardVision {
+
+    /**
+     * Detection backends
+     * @type {Object<string, string>}
+     */
+    static BACKENDS = {
+        GEOMETRIC: 'geometric',
+        FOUNDRY: 'foundry'
+    }
+
+    /**
+     * Milliseconds a guard's vision source is reused while it stands still
+     * @type {number}
+     */
+    static CACHE_MS = 250
+
+    /**
+     * Vision sources built for guard tokens, by token ID
+     * @type {Map<string, {key: string, time: number, source: PointVisionSource}>}
+     * @private
+     */
+    static _sources = new Map()
+
+    /**
+     * Configured backend
+     * @returns {string}
+     */
+    static get backend() {
+        return getSetting('detectionBackend', GuardVision.BACKENDS.GEOMETRIC)
+    }
+
+    /**
+     * Check whether guards use Foundry's vision
+     * @returns {boolean}
+     */
+    static get usesFoundry() {
+        return GuardVision.backend === GuardVision.BACKENDS.FOUNDRY
+    }
+
+    /**
+     * Check whether a guard perceives a target, through the configured backend
+     * @param {Token} observer - Guard token
+     * @param {Point} origin - Where the geometric check measures range from
+     * @param {Token} target
+     * @param {number} range - Detection radius in pixels, for the geometric check
+     * @param {Object} options
+     * @param {boolean} options.lineOfSight - Whether the geometric check also tests walls
+     * @returns {boolean}
+     */
+    static canSee(observer, origin, target, range, { lineOfSight = false } = {}) {
+        if (GuardVision.usesFoundry) {
+            const detected = GuardVision.canDetect(observer, target)
+            if (detected !== null) return detected
+        }
+
+        if (!Lighting.canPerceive(observer, origin, target, range)) return false
+        return !lineOfSight || PatrolDetection._hasLineOfSight(origin, target.center)
+    }
+
+    /**
+     * Ask the observer's vision and detection modes whether it perceives
+     * the target, as Foundry would for a player's token
+     * @param {Token} observer
+     * @param {Token} target
+     * @returns {boolean|null} Null when the observer has no vision to ask
+     */
+    static canDetect(observer, target) {
+        if (!GuardVision.hasVision(observer)) return null
+
+        const source = GuardVision._getVisionSource(observer)
+        if (!source) return null
+
+        const tests = [{ point: target.center, elevation: target.document.elevation, los: new Map() }]
+        for (const mode of observer.document.detectionModes ?? []) {
+            if (!mode.enabled) continue
+            const detectionMode = CONFIG.Canvas.detectionModes[mode.id]
+            if (detectionMode?.testVisibility(source, mode, { object: target, tests })) return true
+        }
+        return false
+    }
+
+    /**
+     * Check whether a token has vision of its own
+     * @param {Token} observer
+     * @returns {boolean}
+     */
+    static hasVision(observer) {
+        return !!observer?.document?.sight?.enabled && typeof observer._getVisionSourceData === 'function'
+    }
+
+    /**
+     * Forget the cached vision sources
+     */
+    static clearCache() {
+        for (const { source } of GuardVision._sources.values()) source.destroy?.()
+        GuardVision._sources.clear()
+    }
+
+    /**
+     * The observer's vision source. A GM's client only builds sources for
+     * the tokens it controls, so guards get one of their own, rebuilt when
+     * the guard moves, turns or goes stale
+     * @param {Token} observer
+     * @returns {PointVisionSource|null}
+     * @private
+     */
+    static _getVisionSource(observer) {
+        if (observer.vision?.active && observer.vision.los) return observer.vision
+
+        const data = observer._getVisionSourceData()
+        const key = [data.x, data.y, data.elevation, data.rotation, data.angle, data.radius].join(',')
+        const now = Date.now()
+
+        const cached = GuardVision._sources.get(observer.id)
+        if (cached && cached.key === key && now - cached.time < GuardVision.CACHE_MS) return cached.source
+        cached?.source.destroy?.()
+
+        try {
+            const source = new CONFIG.Canvas.visionSourceClass({
+                sourceId: `${MODULE_ID}.guardVision.${observer.id}`,
+                object: observer
+            })
+            source.initialize(data)
+            GuardVision._sources.set(observer.id, { key, time: now, source })
+            return source
+        } catch (err) {
+            GuardVision._sources.delete(observer.id)
+            return null
+        }
+    }
+}
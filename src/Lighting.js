@@ -0,0 +1,134 @@
+/**
+ * RNK Patrol - Lighting
+ *
+ * Works out how well lit a spot is from the scene darkness and its light
+ * sources, and how far a guard can pick out a target standing there.
+ * Dim light and darkness shrink the detection radius. Darkvision lifts
+ * the light by one step within its range, and blindsight, tremorsense
+ * and truesight ignore light altogether. Sense ranges come from the
+ * system adapter.
+ *
+ * @module Lighting
+ */
+
+import { getSetting } from './settings.js'
+import { getAdapter } from './systemAdapters/index.js'
+import { WaypointConditions } from './WaypointConditions.js'
+
+/**
+ * Lighting - light levels and light-limited detection ranges
+ */
+export class Lighting {
+
+    /**
+     * Light levels a target can stand in
+     * @type {Object<string, string>}
+     */
+    static LEVELS = {
+        BRIGHT: 'bright',
+        DIM: 'dim',
+        DARK: 'dark'
+    }
+
+    /**
+     * Share of the detection radius that still applies at each light level
+     * @type {Object<string, number>}
+     */
+    static RANGE_FACTORS = {
+        bright: 1,
+        dim: 0.5,
+        dark: 0.25
+    }
+
+    /**
+     * Check whether light limits detection at all
+     * @returns {boolean}
+     */
+    static get isEnabled() {
+        return getSetting('lightingDetection', true)
+    }
+
+    /**
+     * Light level at a point from the scene darkness and its light sources
+     * @param {Point} point
+     * @returns {string} One of LEVELS
+     */
+    static getLightLevel(point) {
+        const { BRIGHT, DIM, DARK } = Lighting.LEVELS
+
+        // Global illumination lights the whole scene
+        if (canvas.environment?.globalLightSource?.active || canvas.effects?.illumination?.globalLight) return BRIGHT
+
+        const darkness = WaypointConditions.getDarkness(canvas.scene)
+        let level = darkness < 0.25 ? BRIGHT : darkness < 0.75 ? DIM : DARK
+        if (level === BRIGHT) return level
+
+        for (const source of canvas.effects?.lightSources ?? []) {
+            if (!source.active || source.isDarknessSource || !Number.isFinite(source.x)) continue
+            if (!source.shape?.contains(point.x, point.y)) continue
+
+            const distance = Math.hypot(point.x - source.x, point.y - source.y)
+            if (distance <= (source.data?.bright ?? 0)) return BRIGHT
+            level = DIM
+        }
+
+        return level
+    }
+
+    /**
+     * Light level as the observer experiences it, after its senses
+     * @param {string} level - Actual light level
+     * @param {number} distance - Pixels from observer to target
+     * @param {Object} senses - From getSenses, in pixels
+     * @returns {string} One of LEVELS
+     */
+    static getPerceivedLevel(level, distance, senses) {
+        const { BRIGHT, DIM, DARK } = Lighting.LEVELS
+
+        // Senses that do not need light at all
+        if (distance <= Math.max(senses.blindsight, senses.tremorsense, senses.truesight)) return BRIGHT
+
+        if (distance <= senses.darkvision) {
+            if (level === DARK) return DIM
+            if (level === DIM) return BRIGHT
+        }
+
+        return level
+    }
+
+    /**
+     * An observer's special senses, converted to pixels
+     * @param {Token} observer
+     * @returns {{darkvision: number, blindsight: number, tremorsense: number, truesight: number}}
+     */
+    static getSenses(observer) {
+        const senses = getAdapter().getSenses(observer)
+        const dimensions = canvas.dimensions
+        const pixelsPerUnit = dimensions.distancePixels ?? (dimensions.size / dimensions.distance)
+
+        const result = {}
+        for (const key of ['darkvision', 'blindsight', 'tremorsense', 'truesight']) {
+            result[key] = (Number(senses?.[key]) || 0) * pixelsPerUnit
+        }
+        return result
+    }
+
+    /**
+     * Check whether an observer can pick out a target, given the light
+     * the target stands in
+     * @param {Token} observer - Token doing the looking (supplies senses)
+     * @param {Point} origin - Where range is measured from
+     * @param {Token} target
+     * @param {number} range - Detection radius in pixels in bright light
+     * @returns {boolean}
+     */
+    static canPerceive(observer, origin, target, range) {
+        if (!Lighting.isEnabled) return true
+
+        const point = target.center
+        const distance = Math.hypot(point.x - origin.x, point.y - origin.y)
+        const level = Lighting.getPerceivedLevel(Lighting.getLightLevel(point), distance, Lighting.getSenses(observer))
+
+        return distance <= range * Lighting.RANGE_FACTORS[level]
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * RNK Patrol - Noise System
+ *
+ * Lets guards hear what they cannot see. A noise has a position and a
+ * loudness, the number of grid squares it carries in the open. Every
+ * sound-blocking wall between the noise and a guard halves what is left.
+ * Guards that hear it go and investigate the source.
+ *
+ * Noises come from the API (game.rnkPatrol.makeNoise), the /noise chat
+ * command, and optionally from attack rolls, failed stealth checks and
+ * doors being opened or forced.
+ *
+ * @module NoiseSystem
+ */
+
+import { MODULE_ID, debug, isPrimaryGM } from './main.js'
+import { getSetting } from './settings.js'
+import { getAdapter } from './systemAdapters/index.js'
+import { PatrolSocket } from './PatrolSocket.js'
+
+/**
+ * Default loudness, in grid squares, for each kind of noise
+ */
+export const NOISE_LOUDNESS = {
+    stealth: 4,
+    door: 6,
+    command: 10,
+    attack: 12,
+    brokenDoor: 20
+}
+
+/**
+ * NoiseSystem - noise events and the guards that hear them
+ */
+export class NoiseSystem {
+
+    /**
+     * Share of the loudness left after passing through a sound-blocking wall
+     * @type {number}
+     */
+    static WALL_DAMPING = 0.5
+
+    /**
+     * Initialize the noise system
+     */
+    initialize() {
+        debug('NoiseSystem initialized')
+
+        Hooks.on('chatMessage', this._onChatCommand.bind(this))
+        Hooks.on('createChatMessage', this._onChatMessage.bind(this))
+        Hooks.on('preUpdateWall', this._onPreUpdateWall.bind(this))
+        Hooks.on('updateWall', this._onUpdateWall.bind(this))
+    }
+
+    /**
+     * Check whether rolls and doors make noise on their own
+     * @returns {boolean}
+     */
+    get automaticNoise() {
+        return getSetting('noiseTriggers', true)
+    }
+
+    // ==========================================
+    // Making Noise
+    // ==========================================
+
+    /**
+     * Make a noise. On a player's client the noise is handed to the
+     * primary GM, who runs the guards
+     * @param {Object} noise
+     * @param {number} [noise.x] - Defaults to the token's center
+     * @param {number} [noise.y]
+     * @param {number} [noise.loudness] - Grid squares the noise carries
+     * @param {string} [noise.kind='command'] - Key of NOISE_LOUDNESS, used when no loudness is given
+     * @param {string} [noise.tokenId] - Token that made the noise, if any
+     * @param {number|null} [noise.stealth] - Stealth total; only guards whose perception meets it hear the noise
+     * @param {string} [noise.sceneId] - Defaults to the viewed scene
+     * @returns {Promise<Patrol[]>} Patrols that heard it (always empty off the primary GM)
+     */
+    async makeNoise({ x, y, loudness, kind = 'command', tokenId = null, stealth = null, sceneId } = {}) {
+        const token = tokenId ? canvas.tokens?.get(tokenId) : null
+        const noise = {
+            x: x ?? token?.center.x,
+            y: y ?? token?.center.y,
+            loudness: Number(loudness ?? NOISE_LOUDNESS[kind] ?? NOISE_LOUDNESS.command),
+            kind,
+            tokenId,
+            stealth,
+            sceneId: sceneId ?? canvas.scene?.id
+        }
+
+        if (!Number.isFinite(noise.x) || !Number.isFinite(noise.y) || !(noise.loudness > 0)) return []
+
+        if (!isPrimaryGM()) {
+            PatrolSocket.broadcastNoise(noise)
+            return []
+        }
+
+        // Patrols only run on the scene the GM is viewing
+        if (noise.sceneId !== canvas.scene?.id) return []
+
+        Hooks.callAll('rnkPatrol.noise', noise)
+
+        const heard = []
+        for (const patrol of game.rnkPatrol?.manager?.getPatrols() ?? []) {
+            if (!this.canHear(patrol, noise)) continue
+
+            debug(`${patrol.name} heard a ${noise.kind} noise`)
+            heard.push(patrol)
+            Hooks.callAll('rnkPatrol.noiseHeard', patrol, noise)
+
+            patrol.investigate({ x: noise.x, y: noise.y }, { tokenId: noise.tokenId, reason: 'noise' })
+        }
+
+        return heard
+    }
+
+    /**
+     * Check whether a patrol on duty hears a noise
+     * @param {Patrol} patrol
+     * @param {Object} noise - As built by makeNoise
+     * @returns {boolean}
+     */
+    canHear(patrol, noise) {
+        const guard = patrol.token
+        if (!patrol.isActive || !guard) return false
+
+        // A guard does not go looking for its own noise
+        if (noise.tokenId && guard.id === noise.tokenId) return false
+
+        const distance = Math.hypot(noise.x - guard.center.x, noise.y - guard.center.y)
+        if (distance > this.getAudibleRange(noise, guard.center)) return false
+
+        if (noise.stealth !== null && noise.stealth !== undefined) {
+            return getAdapter().getPerception(guard.actor) >= noise.stealth
+        }
+        return true
+    }
+
+    /**
+     * How far a noise carries towards a listener, in pixels
+     * @param {Object} noise
+     * @param {Point} listener
+     * @returns {number}
+     */
+    getAudibleRange(noise, listener) {
+        const walls = this._countSoundWalls(noise, listener)
+        return noise.loudness * canvas.grid.size * Math.pow(NoiseSystem.WALL_DAMPING, walls)
+    }
+
+    /**
+     * Number of sound-blocking walls between two points
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {number}
+     * @private
+     */
+    _countSoundWalls(a, b) {
+        try {
+            const backend = CONFIG.Canvas.polygonBackends?.sound
+            const collisions = backend?.testCollision
+                ? backend.testCollision(a, b, { type: 'sound', mode: 'all' })
+                : canvas.walls?.checkCollision(new Ray(a, b), { type: 'sound', mode: 'all' })
+            return Array.isArray(collisions) ? collisions.length : 0
+        } catch (e) {
+            return 0
+        }
+    }
+
+    // ==========================================
+    // Triggers
+    // ==========================================
+
+    /**
+     * Handle the /noise [loudness] chat command, made at the controlled token
+     * @param {ChatLog} chatLog
+     * @param {string} message
+     * @returns {boolean|void} False to keep the command out of chat
+     * @private
+     */
+    _onChatCommand(chatLog, message) {
+        const match = message.trim().match(/^\/noise(?:\s+(\d+(?:\.\d+)?))?\s*$/i)
+        if (!match) return
+
+        const token = canvas.tokens?.controlled[0]
+        if (!token) {
+            ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.noise.noToken`))
+            return false
+        }
+
+        this.makeNoise({
+            tokenId: token.id,
+            loudness: match[1] ? Number(match[1]) : undefined,
+            kind: 'command'
+        })
+        return false
+    }
+
+    /**
+     * Attack rolls and stealth checks in chat make noise at the speaker's token
+     * @param {ChatMessage} message
+     * @private
+     */
+    _onChatMessage(message) {
+        if (!isPrimaryGM() || !this.automaticNoise) return
+        if (message.speaker?.scene !== canvas.scene?.id) return
+
+        const token = canvas.tokens?.get(message.speaker?.token)
+        if (!token) return
+
+        const roll = getAdapter().getRollNoise(message)
+        if (!roll) return
+
+        this.makeNoise({
+            tokenId: token.id,
+            kind: roll.kind,
+            stealth: roll.kind === 'stealth' ? roll.total ?? null : null
+        })
+    }
+
+    /**
+     * Remember a door's state before it changes, so forcing a locked door
+     * can be told apart from opening one
+     * @param {WallDocument} wall
+     * @param {Object} changes
+     * @param {Object} options
+     * @private
+     */
+    _onPreUpdateWall(wall, changes, options) {
+        if (!('ds' in changes)) return
+        options[MODULE_ID] = { ...options[MODULE_ID], previousDoorState: wall.ds }
+    }
+
+    /**
+     * Doors make noise when they are opened, and more when forced
+     * @param {WallDocument} wall
+     * @param {Object} changes
+     * @param {Object} options
+     * @private
+     */
+    _onUpdateWall(wall, changes, options) {
+        if (!isPrimaryGM() || !this.automaticNoise) return
+        if (changes.ds !== CONST.WALL_DOOR_STATES.OPEN || wall.parent?.id !== canvas.scene?.id) return
+
+        const forced = options?.[MODULE_ID]?.previousDoorState === CONST.WALL_DOOR_STATES.LOCKED
+        const [x0, y0, x1, y1] = wall.c
+
+        this.makeNoise({
+            x: (x0 + x1) / 2,
+            y: (y0 + y1) / 2,
+            kind: forced ? 'brokenDoor' : 'door'
+        })
+    }
+}
+
+// Export singleton
+export const noiseSystem = new NoiseSystem()
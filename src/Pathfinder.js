@@ -0,0 +1,321 @@
+/**
+ * RNK Patrol - Pathfinder
+ *
+ * Grid-based A* route planning for walking patrols. Routes go around
+ * move-blocking walls (closed doors included) and work on square and
+ * hexagonal grids. Gridless scenes are searched on a virtual square lattice.
+ *
+ * @module Pathfinder
+ */
+
+import { debug } from './main.js'
+
+/**
+ * Minimal binary heap keyed on node.f
+ * @private
+ */
+class NodeHeap {
+    constructor() {
+        this._items = []
+    }
+
+    get size() {
+        return this._items.length
+    }
+
+    push(node) {
+        const items = this._items
+        items.push(node)
+        let i = items.length - 1
+        while (i > 0) {
+            const parent = (i - 1) >> 1
+            if (items[parent].f <= items[i].f) break
+            [items[parent], items[i]] = [items[i], items[parent]]
+            i = parent
+        }
+    }
+
+    pop() {
+        const items = this._items
+        const top = items[0]
+        const last = items.pop()
+        if (items.length > 0) {
+            items[0] = last
+            let i = 0
+            while (true) {
+                const left = i * 2 + 1
+                const right = left + 1
+                let smallest = i
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right
+                if (smallest === i) break
+                [items[smallest], items[i]] = [items[i], items[smallest]]
+                i = smallest
+            }
+        }
+        return top
+    }
+}
+
+/**
+ * Pathfinder - wall-aware route planning on the scene grid
+ */
+export class Pathfinder {
+
+    /**
+     * Maximum number of grid cells expanded before giving up
+     * @type {number}
+     */
+    static MAX_NODES = 5000
+
+    /**
+     * Find a walkable route between two points
+     * @param {Point} from - Start point (pixels, usually the token center)
+     * @param {Point} to - Destination point (pixels)
+     * @param {Object} options
+     * @param {boolean} options.smooth - Collapse grid steps into straight runs (default true)
+     * @param {number} options.maxNodes - Search budget override
+     * @returns {Point[]|null} Points to visit after `from`, ending at `to`; null if unreachable
+     */
+    static findPath(from, to, options = {}) {
+        const { smooth = true, maxNodes = Pathfinder.MAX_NODES } = options
+
+        if (!canvas.ready) return [{ x: to.x, y: to.y }]
+
+        // Straight line is clear - nothing to plan
+        if (!Pathfinder.isBlocked(from, to)) return [{ x: to.x, y: to.y }]
+
+        const startOffset = Pathfinder._offsetOf(from)
+        const goalOffset = Pathfinder._offsetOf(to)
+        const goalKey = Pathfinder._key(goalOffset)
+
+        const open = new NodeHeap()
+        const nodes = new Map()
+        const closed = new Set()
+
+        const start = {
+            offset: startOffset,
+            point: { x: from.x, y: from.y },
+            g: 0,
+            f: Pathfinder._distance(from, to),
+            parent: null
+        }
+        nodes.set(Pathfinder._key(startOffset), start)
+        open.push(start)
+
+        let expanded = 0
+        let found = null
+
+        while (open.size > 0) {
+            const current = open.pop()
+            const currentKey = Pathfinder._key(current.offset)
+            if (closed.has(currentKey)) continue
+            closed.add(currentKey)
+
+            if (currentKey === goalKey) {
+                found = current
+                break
+            }
+
+            if (++expanded > maxNodes) {
+                debug(`Pathfinder: search budget exhausted after ${maxNodes} cells`)
+                return null
+            }
+
+            for (const offset of Pathfinder._neighbors(current.offset)) {
+                const key = Pathfinder._key(offset)
+                if (closed.has(key)) continue
+
+                const point = key === goalKey ? { x: to.x, y: to.y } : Pathfinder._centerOf(offset)
+                if (!Pathfinder._inScene(point)) continue
+                if (Pathfinder.isBlocked(current.point, point)) continue
+
+                const g = current.g + Pathfinder._distance(current.point, point)
+                const existing = nodes.get(key)
+                if (existing && existing.g <= g) continue
+
+                const node = {
+                    offset,
+                    point,
+                    g,
+                    f: g + Pathfinder._distance(point, to),
+                    parent: current
+                }
+                nodes.set(key, node)
+                open.push(node)
+            }
+        }
+
+        if (!found) return null
+
+        // Walk back from goal to start
+        const path = []
+        for (let node = found; node.parent; node = node.parent) {
+            path.unshift(node.point)
+        }
+
+        // Guarantee we end exactly on the destination
+        const last = path[path.length - 1]
+        if (!last || last.x !== to.x || last.y !== to.y) path.push({ x: to.x, y: to.y })
+
+        return smooth ? Pathfinder.smoothPath(from, path) : path
+    }
+
+    /**
+     * Remove intermediate points where a straight, unblocked line is possible
+     * @param {Point} from - Start point
+     * @param {Point[]} path - Points after the start
+     * @returns {Point[]}
+     */
+    static smoothPath(from, path) {
+        if (path.length < 2) return path
+
+        const result = []
+        let anchor = from
+        let i = 0
+
+        while (i < path.length) {
+            // Look for the furthest point still visible from the anchor
+            let next = i
+            for (let j = path.length - 1; j > i; j--) {
+                if (!Pathfinder.isBlocked(anchor, path[j])) {
+                    next = j
+                    break
+                }
+            }
+            result.push(path[next])
+            anchor = path[next]
+            i = next + 1
+        }
+
+        return result
+    }
+
+    /**
+     * Test whether movement between two points crosses a move-blocking wall
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {boolean}
+     */
+    static isBlocked(a, b) {
+        if (!canvas.ready) return false
+        try {
+            const backend = CONFIG.Canvas.polygonBackends?.move
+            if (backend?.testCollision) {
+                return !!backend.testCollision(a, b, { type: 'move', mode: 'any' })
+            }
+            return !!canvas.walls?.checkCollision(new Ray(a, b), { type: 'move', mode: 'any' })
+        } catch (e) {
+            return false
+        }
+    }
+
+    /**
+     * Total pixel length of a path
+     * @param {Point} from
+     * @param {Point[]} path
+     * @returns {number}
+     */
+    static pathLength(from, path) {
+        let length = 0
+        let previous = from
+        for (const point of path) {
+            length += Pathfinder._distance(previous, point)
+            previous = point
+        }
+        return length
+    }
+
+    // ==========================================
+    // Grid Helpers
+    // ==========================================
+
+    /**
+     * Whether the scene uses a gridless layout
+     * @returns {boolean}
+     */
+    static get _isGridless() {
+        const grid = canvas.grid
+        if (grid.isGridless !== undefined) return grid.isGridless
+        return grid.type === CONST.GRID_TYPES.GRIDLESS
+    }
+
+    /**
+     * Grid offset containing a point
+     * @param {Point} point
+     * @returns {{i: number, j: number}}
+     */
+    static _offsetOf(point) {
+        if (Pathfinder._isGridless) {
+            const size = canvas.dimensions.size
+            return { i: Math.floor(point.y / size), j: Math.floor(point.x / size) }
+        }
+        const { i, j } = canvas.grid.getOffset(point)
+        return { i, j }
+    }
+
+    /**
+     * Center point of a grid offset
+     * @param {{i: number, j: number}} offset
+     * @returns {Point}
+     */
+    static _centerOf(offset) {
+        if (Pathfinder._isGridless) {
+            const size = canvas.dimensions.size
+            return { x: (offset.j + 0.5) * size, y: (offset.i + 0.5) * size }
+        }
+        const { x, y } = canvas.grid.getCenterPoint(offset)
+        return { x, y }
+    }
+
+    /**
+     * Neighboring offsets (8-way on squares, 6-way on hexes)
+     * @param {{i: number, j: number}} offset
+     * @returns {Array<{i: number, j: number}>}
+     */
+    static _neighbors(offset) {
+        if (!Pathfinder._isGridless && canvas.grid.getAdjacentOffsets) {
+            return canvas.grid.getAdjacentOffsets(offset)
+        }
+
+        const result = []
+        for (let di = -1; di <= 1; di++) {
+            for (let dj = -1; dj <= 1; dj++) {
+                if (di === 0 && dj === 0) continue
+                result.push({ i: offset.i + di, j: offset.j + dj })
+            }
+        }
+        return result
+    }
+
+    /**
+     * Check that a point lies inside the playable scene rectangle
+     * @param {Point} point
+     * @returns {boolean}
+     */
+    static _inScene(point) {
+        const rect = canvas.dimensions.sceneRect
+        if (!rect) return true
+        return point.x >= rect.x && point.y >= rect.y &&
+            point.x <= rect.x + rect.width && point.y <= rect.y + rect.height
+    }
+
+    /**
+     * Map key for an offset
+     * @param {{i: number, j: number}} offset
+     * @returns {string}
+     */
+    static _key(offset) {
+        return `${offset.i},${offset.j}`
+    }
+
+    /**
+     * Euclidean distance in pixels
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {number}
+     */
+    static _distance(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y)
+    }
+}
@@ -16,12 +16,27 @@ import {
     emitSocket,
     isPrimaryGM,
     PATROL_MODES,
+    SEGMENT_MODES,
+    FORMATIONS,
     PATROL_STATES,
     BLINK_PATTERNS,
-    WAYPOINT_STATES
+    WAYPOINT_STATES,
+    ALERT_STATES
 } from './main.js'
 import { getSetting } from './settings.js'
 import { Waypoint } from './Waypoint.js'
+import { Pathfinder } from './Pathfinder.js'
+import { PatrolDetection } from './PatrolDetection.js'
+import { WaypointConditions } from './WaypointConditions.js'
+import { RouteGraph } from './RouteGraph.js'
+import { AreaSampler } from './AreaSampler.js'
+import { StealthContest } from './StealthContest.js'
+import { SuspicionMeter } from './SuspicionMeter.js'
+import { GuardVision } from './GuardVision.js'
+import { clearanceSystem, CLEARANCE_RESULTS } from './ClearanceSystem.js'
+import { bodySystem } from './BodySystem.js'
+import { detectionScheduler } from './DetectionScheduler.js'
+import { getAdapter } from './systemAdapters/index.js'
 
 /**
  * Patrol class - manages a single patrol route
@@ -56,6 +71,24 @@ export class Patrol {
          */
         this.tokenId = data.tokenId || null
 
+        /**
+         * Squad members following the guard token (the leader)
+         * @type {string[]}
+         */
+        this.memberTokenIds = data.memberTokenIds || []
+
+        /**
+         * Squad formation around the leader (see FORMATIONS)
+         * @type {string}
+         */
+        this.formation = data.formation || FORMATIONS.WEDGE
+
+        /**
+         * Grid squares between squad members
+         * @type {number}
+         */
+        this.formationSpacing = data.formationSpacing ?? 1
+
         /**
          * Current patrol state
          * @type {string}
@@ -80,6 +113,33 @@ export class Patrol {
          */
         this.waypointIds = data.waypointIds || []
 
+        /**
+         * Waypoint order for each scene of a cross-scene route, keyed by
+         * scene ID. `waypointIds` is the leg for the scene the patrol is on
+         * @type {Object<string, string[]>}
+         */
+        this.sceneRoutes = data.sceneRoutes || {}
+
+        /**
+         * Portal waypoint the guard just came through, so it does not turn
+         * straight back through a two-way gate
+         * @type {string|null}
+         */
+        this._arrivedViaPortal = data.arrivedViaPortal || null
+
+        /**
+         * Branching route between waypoints, used by the graph patterns.
+         * Null means the linear waypoint order is the route
+         * @type {RouteGraph|null}
+         */
+        this.routeGraph = data.routeGraph ? new RouteGraph(data.routeGraph) : null
+
+        /**
+         * Hybrid mode: how the guard leaves each waypoint, keyed by waypoint ID
+         * @type {Object<string, string>}
+         */
+        this.segmentModes = data.segmentModes || {}
+
         /**
          * Current waypoint index
          * @type {number}
@@ -92,6 +152,24 @@ export class Patrol {
          */
         this._patrolDirection = 1
 
+        /**
+         * Waypoint the guard came from (graph patterns avoid doubling back)
+         * @type {string|null}
+         */
+        this._previousWaypointId = null
+
+        /**
+         * Current roaming point of an area patrol
+         * @type {Waypoint|null}
+         */
+        this._roamWaypoint = null
+
+        /**
+         * Remaining stops of the current shortest-loop tour
+         * @type {string[]}
+         */
+        this._loopPlan = []
+
         /**
          * Time visible at waypoint (seconds)
          * @type {number}
@@ -146,6 +224,18 @@ export class Patrol {
          */
         this.tags = data.tags || []
 
+        /**
+         * Faction whose clearance rules this patrol honours
+         * @type {string}
+         */
+        this.faction = data.faction || ''
+
+        /**
+         * This patrol's own clearance rules, see ClearanceSystem
+         * @type {Array<{type: string, value: string, result: string}>}
+         */
+        this.clearances = data.clearances || []
+
         /**
          * Notes/description
          * @type {string}
@@ -159,10 +249,22 @@ export class Patrol {
         this.disabled = data.disabled || false
 
         /**
-         * Alert level (0 = normal, higher = more alert)
+         * Current alert state (see ALERT_STATES)
+         * @type {string}
+         */
+        this.alertState = Patrol.ALERT_LEVELS[data.alertState] !== undefined ? data.alertState : ALERT_STATES.IDLE
+
+        /**
+         * Alert level (0 = idle, 4 = combat), derived from the alert state
          * @type {number}
          */
-        this.alertLevel = data.alertLevel || 0
+        this.alertLevel = Patrol.ALERT_LEVELS[this.alertState]
+
+        /**
+         * Seconds each alert state lasts before decaying (0 holds it)
+         * @type {Object<string, number>}
+         */
+        this.alertTimeouts = { ...Patrol.ALERT_TIMEOUTS, ...(data.alertTimeouts || {}) }
 
         /**
          * Guard actor ID (optional override for spawning)
@@ -194,24 +296,148 @@ export class Patrol {
          */
         this.aggressiveness = data.aggressiveness || 'normal'
 
+        /**
+         * Seconds a pursuit may last before the guard gives up
+         * @type {number}
+         */
+        this.pursuitMaxDuration = data.pursuitMaxDuration ?? getSetting('pursuitMaxDuration', 30)
+
+        /**
+         * How far (grid units) a guard may stray from where the chase began
+         * @type {number}
+         */
+        this.pursuitMaxDistance = data.pursuitMaxDistance ?? getSetting('pursuitMaxDistance', 20)
+
+        /**
+         * Nearby waypoints checked after losing sight of a target (0 = forget at once)
+         * @type {number}
+         */
+        this.investigateCycles = data.investigateCycles ?? getSetting('investigateCycles', 2)
+
+        /**
+         * World-time schedule (active hours, day/night watches, shift changes)
+         * @type {Object}
+         */
+        this.schedule = {
+            ...Patrol.SCHEDULE_DEFAULTS,
+            ...(data.schedule || {}),
+            watches: { ...(data.schedule?.watches || {}) }
+        }
+
+        /**
+         * Roaming area (a Drawing or Scene Region). When set, the guard picks
+         * random points inside it instead of following waypoints
+         * @type {Object}
+         */
+        this.area = { ...Patrol.AREA_DEFAULTS, ...(data.area || {}) }
+
+        /**
+         * Pending alert decay timeout
+         * @type {number|null}
+         */
+        this._alertTimeout = null
+
+        /**
+         * Active pursuit data, null when not chasing
+         * @type {Object|null}
+         */
+        this._pursuit = null
+
+        /**
+         * Active investigation data, null when not investigating
+         * @type {Object|null}
+         */
+        this._investigation = null
+
+        /**
+         * Map marker for the spot being investigated
+         * @type {PIXI.Container|null}
+         */
+        this._investigationMarker = null
+
         /**
          * Detected tokens (IDs)
          * @type {Set<string>}
          */
         this._detectedTokens = new Set()
 
+        /**
+         * Where each detected token was last seen, by token ID
+         * @type {Map<string, Point>}
+         */
+        this._lastSeen = new Map()
+
+        /**
+         * Stealth contests for tokens in view, by token ID; `spotted` stays
+         * null until the contest settles. Dropped when the token leaves view
+         * so it is contested afresh
+         * @type {Map<string, {spotted: boolean|null}>}
+         */
+        this._stealthResults = new Map()
+
+        /**
+         * Suspicion meters by target token ID, with where the target was at
+         * the last tick so movement can be told apart from standing still
+         * @type {Map<string, {value: number, x: number, y: number}>}
+         */
+        this._suspicion = new Map()
+
+        /**
+         * Time of the last suspicion tick
+         * @type {number|null}
+         */
+        this._suspicionTick = null
+
+        /**
+         * Tokens stopped for a challenge rather than detected. They are not
+         * hunted down when they leave view
+         * @type {Set<string>}
+         */
+        this._challengedTokens = new Set()
+
+        /**
+         * Bodies and missing comrades this patrol has already found, so each
+         * raises the alarm once
+         * @type {Set<string>}
+         */
+        this._foundBodies = new Set()
+
         /**
          * Interval handle for patrol loop
          * @type {number|null}
          */
         this._loopInterval = null
 
+        /**
+         * Interval handle for the look-around sweep
+         * @type {number|null}
+         */
+        this._sweepInterval = null
+
+        /**
+         * Waypoint whose vision cone the sweep is turning
+         * @type {Waypoint|null}
+         */
+        this._sweepWaypoint = null
+
         /**
          * Timeout handle for current phase
          * @type {number|null}
          */
         this._phaseTimeout = null
 
+        /**
+         * Pending phase wait, kept so it can be suspended while the game is paused
+         * @type {{resolve: Function, remaining: number, startedAt: number}|null}
+         */
+        this._timer = null
+
+        /**
+         * Resolves the pending combat-time step, null when not waiting on one
+         * @type {Function|null}
+         */
+        this._combatStepResolver = null
+
         /**
          * Current phase ('appear', 'visible', 'disappear', 'invisible')
          * @type {string}
@@ -264,6 +490,88 @@ export class Patrol {
      */
     static _colorIndex = 0
 
+    /**
+     * Grid squares a walking guard covers between target checks while pursuing
+     * @type {number}
+     */
+    static PURSUIT_STEP = 2
+
+    /**
+     * Grid spaces a walker covers per combat step when its actor has no speed
+     * @type {number}
+     */
+    static COMBAT_MOVE_SPACES = 6
+
+    /**
+     * Default schedule values. Hours are world hours (0-24); a null active
+     * window means the patrol is always on duty
+     * @type {Object}
+     */
+    static SCHEDULE_DEFAULTS = {
+        enabled: false,
+        activeStart: null,
+        activeEnd: null,
+        dayStart: 6,
+        nightStart: 18,
+        watches: {},
+        nightBlinkPattern: null,
+        shiftLength: 0,
+        reliefActorId: null,
+        barracksWaypointId: null,
+        shiftStartedAt: null
+    }
+
+    /**
+     * Default area values. Distances are in grid units; avoidGuards 0 turns
+     * avoidance off and a null detectionRange uses the module default
+     * @type {Object}
+     */
+    static AREA_DEFAULTS = {
+        type: null,
+        id: null,
+        minSpacing: 3,
+        avoidGuards: 0,
+        detectionRange: null
+    }
+
+    /**
+     * Numeric alert level of each alert state
+     * @type {Object<string, number>}
+     */
+    static ALERT_LEVELS = {
+        [ALERT_STATES.IDLE]: 0,
+        [ALERT_STATES.SUSPICIOUS]: 1,
+        [ALERT_STATES.INVESTIGATING]: 2,
+        [ALERT_STATES.SEARCHING]: 2,
+        [ALERT_STATES.ALERT]: 3,
+        [ALERT_STATES.COMBAT]: 4
+    }
+
+    /**
+     * The state each alert state falls back to when its timeout runs out
+     * @type {Object<string, string>}
+     */
+    static ALERT_DECAY = {
+        [ALERT_STATES.SUSPICIOUS]: ALERT_STATES.IDLE,
+        [ALERT_STATES.INVESTIGATING]: ALERT_STATES.SUSPICIOUS,
+        [ALERT_STATES.ALERT]: ALERT_STATES.SEARCHING,
+        [ALERT_STATES.COMBAT]: ALERT_STATES.SEARCHING,
+        [ALERT_STATES.SEARCHING]: ALERT_STATES.IDLE
+    }
+
+    /**
+     * Default alert state timeouts in seconds. Combat holds until the
+     * encounter ends
+     * @type {Object<string, number>}
+     */
+    static ALERT_TIMEOUTS = {
+        [ALERT_STATES.SUSPICIOUS]: 15,
+        [ALERT_STATES.INVESTIGATING]: 30,
+        [ALERT_STATES.ALERT]: 30,
+        [ALERT_STATES.COMBAT]: 0,
+        [ALERT_STATES.SEARCHING]: 45
+    }
+
     /**
      * Generate a distinct color for a new patrol
      * Cycles through the color palette
@@ -341,11 +649,44 @@ export class Patrol {
      * @returns {Waypoint|null}
      */
     get currentWaypoint() {
+        if (this.isAreaPatrol) return this._getRoamWaypoint()
         if (this.waypointIds.length === 0) return null
         const id = this.waypointIds[this.currentWaypointIndex]
         return this.getWaypoint(id)
     }
 
+    /**
+     * Get the patrol token (method form used by detection and socket helpers)
+     * @returns {Token|null}
+     */
+    getToken() {
+        return this.token
+    }
+
+    /**
+     * Get the current waypoint (method form used by detection and reinforcements)
+     * @returns {Waypoint|null}
+     */
+    getCurrentWaypoint() {
+        return this.currentWaypoint
+    }
+
+    /**
+     * Check if the guard is chasing a target
+     * @returns {boolean}
+     */
+    get isPursuing() {
+        return this.state === PATROL_STATES.PURSUING
+    }
+
+    /**
+     * Check if the guard is looking for a target it lost
+     * @returns {boolean}
+     */
+    get isInvestigating() {
+        return this.state === PATROL_STATES.INVESTIGATING
+    }
+
     /**
      * Check if patrol is active
      * @returns {boolean}
@@ -362,6 +703,36 @@ export class Patrol {
         return this.state === PATROL_STATES.PAUSED
     }
 
+    /**
+     * Check whether the patrol runs on combat time: a combat is running on
+     * its scene and neither the guard nor any of its squad are combatants
+     * @returns {boolean}
+     */
+    get isInCombatTime() {
+        if (getSetting('combatStepMode', 'round') === 'off') return false
+
+        const combat = this._getSceneCombat()
+        if (!combat) return false
+
+        return !combat.combatants.some(c => this.isSquadToken(c.tokenId))
+    }
+
+    /**
+     * The combat running on the patrol's scene, if any
+     * @returns {Combat|null}
+     */
+    _getSceneCombat() {
+        return game.combats?.find(c => c.started && (!c.scene || c.scene.id === this.sceneId)) ?? null
+    }
+
+    /**
+     * World-level speed multiplier for patrol timing (2 = twice as fast)
+     * @returns {number}
+     */
+    get timeScale() {
+        return Math.max(0.1, Number(getSetting('patrolTimeScale', 1)) || 1)
+    }
+
     /**
      * Check if token is currently visible
      * @returns {boolean}
@@ -370,6 +741,41 @@ export class Patrol {
         return this._currentPhase === 'visible' || this._currentPhase === 'appear'
     }
 
+    /**
+     * Current watch ('day' or 'night'), null when no schedule is enabled
+     * @returns {string|null}
+     */
+    get currentWatch() {
+        if (!this.schedule.enabled) return null
+        const isDay = WaypointConditions.checkTimeRange({
+            start: this.schedule.dayStart,
+            end: this.schedule.nightStart
+        })
+        return isDay ? 'day' : 'night'
+    }
+
+    /**
+     * Check whether the schedule puts this patrol on duty right now
+     * @returns {boolean}
+     */
+    get isOnDuty() {
+        const { enabled, activeStart, activeEnd } = this.schedule
+        if (!enabled || activeStart === null || activeEnd === null) return true
+        if (activeStart === activeEnd) return true
+        return WaypointConditions.checkTimeRange({ start: activeStart, end: activeEnd })
+    }
+
+    /**
+     * Blink pattern for the current watch
+     * @returns {string}
+     */
+    get activeBlinkPattern() {
+        if (this.currentWatch === 'night' && this.schedule.nightBlinkPattern) {
+            return this.schedule.nightBlinkPattern
+        }
+        return this.blinkPattern
+    }
+
     /**
      * Get effective appear duration with variance
      * @returns {number}
@@ -442,6 +848,8 @@ export class Patrol {
         if (index >= 0) {
             this.waypointIds.splice(index, 1)
             this._waypointCache.delete(waypointId)
+            this.routeGraph?.removeNode(waypointId)
+            this._loopPlan = []
 
             // Adjust current index if needed
             if (this.currentWaypointIndex >= this.waypointIds.length) {
@@ -450,6 +858,26 @@ export class Patrol {
         }
     }
 
+    /**
+     * Get the route graph, deriving one from the waypoint order if none is defined
+     * @returns {RouteGraph}
+     */
+    getRouteGraph() {
+        if (this.routeGraph && !this.routeGraph.isEmpty) return this.routeGraph
+        return RouteGraph.fromLinear(this.waypointIds)
+    }
+
+    /**
+     * Replace the route graph with one built from the current waypoint order
+     * @param {Object} options - Passed to RouteGraph.fromLinear
+     * @returns {RouteGraph}
+     */
+    importLinearRoute(options = {}) {
+        this.routeGraph = RouteGraph.fromLinear(this.waypointIds, options)
+        this._loopPlan = []
+        return this.routeGraph
+    }
+
     /**
      * Reorder waypoints
      * @param {string[]} newOrder
@@ -458,6 +886,19 @@ export class Patrol {
         this.waypointIds = newOrder.filter(id => this.waypointIds.includes(id))
     }
 
+    /**
+     * Check whether a waypoint belongs to the current watch.
+     * Waypoints without a watch assignment are used day and night
+     * @param {string} waypointId
+     * @returns {boolean}
+     */
+    isWaypointOnWatch(waypointId) {
+        const watch = this.currentWatch
+        if (!watch) return true
+        const assigned = this.schedule.watches[waypointId]
+        return !assigned || assigned === watch
+    }
+
     /**
      * Clear waypoint cache
      */
@@ -478,7 +919,7 @@ export class Patrol {
             return
         }
 
-        if (this.waypointIds.length === 0) {
+        if (!this.hasRoute) {
             warn(`Cannot start patrol ${this.name}: no waypoints configured`)
             ui.notifications.warn(`Patrol "${this.name}" has no waypoints!`)
             return
@@ -523,9 +964,16 @@ export class Patrol {
         debug(`Stopping patrol: ${this.name}`)
 
         this.state = PATROL_STATES.IDLE
+        this._pursuit = null
+        this._investigation = null
 
         // Clear intervals/timeouts
         this._clearTimers()
+        this._clearAlertDecay()
+        this._removeInvestigationMarker()
+        this._suspicion.clear()
+        this._suspicionTick = null
+        SuspicionMeter.show(this)
 
         // Show token at last known position if hidden
         if (this._currentPhase === 'invisible' || this._currentPhase === 'disappear') {
@@ -593,8 +1041,7 @@ export class Patrol {
         // Make sure token is visible
         await this._showToken()
 
-        // Set alert level to max
-        this.alertLevel = 'combat'
+        this.setAlertState(ALERT_STATES.COMBAT, { reason: 'combat' })
 
         this._emitUpdate()
 
@@ -631,6 +1078,12 @@ export class Patrol {
             return
         }
 
+        if (this.mode === PATROL_MODES.HYBRID) {
+            debug(`Starting HYBRID cycle for ${this.name}`)
+            await this._executeHybridCycle()
+            return
+        }
+
         console.log(`RNK Patrol | Starting BLINK cycle for "${this.name}"`)
         // Blink mode - start the appear/disappear cycle
         await this._executeBlinkCycle()
@@ -654,7 +1107,7 @@ export class Patrol {
             return
         }
 
-        if (this.waypointIds.length === 0) {
+        if (!this.hasRoute) {
             warn(`Blink cycle aborted - no waypoints configured for ${this.name}`)
             return
         }
@@ -700,6 +1153,8 @@ export class Patrol {
     async _phaseAppear() {
         this._currentPhase = 'appear'
 
+        await this._pruneSquad()
+
         const waypoint = this.currentWaypoint
         if (!waypoint) {
             warn(`_phaseAppear: No waypoint found! waypointIds=${JSON.stringify(this.waypointIds)}, currentIndex=${this.currentWaypointIndex}`)
@@ -727,13 +1182,16 @@ export class Patrol {
         // Play appear effect (animates alpha from 0 to 1)
         const { PatrolEffects } = game.rnkPatrol
         if (PatrolEffects) {
-            await PatrolEffects.playAppearEffect({
-                x: waypoint.x,
-                y: waypoint.y,
-                effectType: this.effectType,
-                color: this.color || waypoint.color,
-                tokenId: this.tokenId
-            })
+            await Promise.all([
+                PatrolEffects.playAppearEffect({
+                    x: waypoint.x,
+                    y: waypoint.y,
+                    effectType: this.effectType,
+                    color: this.color || waypoint.color,
+                    tokenId: this.tokenId
+                }),
+                ...this._playSquadEffect('appear', waypoint.color)
+            ])
         } else {
             // If no effects system, ensure token is visible
             if (token?.mesh) {
@@ -754,15 +1212,34 @@ export class Patrol {
         const duration = this.effectiveAppearDuration * 1000
 
         // Run detection during visible phase
-        const detectionInterval = setInterval(() => {
-            if (this.detectEnabled && this.isActive) {
-                this._runDetection()
+        this._startDetectionTicks()
+        this._startSweep(this.currentWaypoint)
+
+        await this._dwell(duration)
+
+        this._stopSweep()
+        this._stopDetectionTicks()
+    }
+
+    /**
+     * Run detection every half second, giving suspicion time to build.
+     * Passes are queued so crowded scenes spread them across frames
+     */
+    _startDetectionTicks() {
+        this._loopInterval = setInterval(() => {
+            if (this.detectEnabled && this.isActive && !game.paused) {
+                detectionScheduler.request(this)
             }
         }, 500)
+    }
 
-        await this._wait(duration)
-
-        clearInterval(detectionInterval)
+    /**
+     * Stop the detection ticks
+     */
+    _stopDetectionTicks() {
+        clearInterval(this._loopInterval)
+        this._loopInterval = null
+        detectionScheduler.cancel(this)
     }
 
     /**
@@ -780,13 +1257,16 @@ export class Patrol {
         // Token stays unhidden so players can see the animation
         const { PatrolEffects } = game.rnkPatrol
         if (PatrolEffects) {
-            await PatrolEffects.playDisappearEffect({
-                x: waypoint.x,
-                y: waypoint.y,
-                effectType: this.effectType,
-                color: this.color || waypoint.color,
-                tokenId: this.tokenId
-            })
+            await Promise.all([
+                PatrolEffects.playDisappearEffect({
+                    x: waypoint.x,
+                    y: waypoint.y,
+                    effectType: this.effectType,
+                    color: this.color || waypoint.color,
+                    tokenId: this.tokenId
+                }),
+                ...this._playSquadEffect('disappear', waypoint.color)
+            ])
         }
 
         // Hide token (set hidden: true in database)
@@ -803,7 +1283,10 @@ export class Patrol {
         this._currentPhase = 'invisible'
 
         // Select next waypoint
-        this._selectNextWaypoint()
+        await this._selectNextWaypoint()
+
+        // On combat time the whole step already waited for its round/turn
+        if (this.isInCombatTime) return
 
         // Wait invisible duration
         const duration = this.effectiveDisappearDuration * 1000
@@ -836,30 +1319,40 @@ export class Patrol {
         const waypoint = this.currentWaypoint
         if (!waypoint) return
 
+        await this._pruneSquad()
+
         const token = this.token
         if (!token) return
 
         debug(`Walking to waypoint: ${waypoint.name}`)
 
-        // Calculate path and animate movement
-        const path = [{ x: waypoint.x, y: waypoint.y }]
+        const arrived = await this._walkTo({ x: waypoint.x, y: waypoint.y })
+        if (!this.isActive) return
 
-        // Use Foundry's built-in token movement
-        await this.tokenDocument?.update({
-            x: waypoint.x - (token.w / 2),
-            y: waypoint.y - (token.h / 2)
-        }, { animate: true })
+        // Walls leave no route - blink across instead of walking through them
+        if (!arrived) {
+            await this._blinkToWaypoint(waypoint)
+            if (!this.isActive) return
+        }
 
-        // Wait at waypoint
-        await this._wait(this.effectiveAppearDuration * 1000)
+        // Wait at waypoint, watching and looking around if it has a sweep
+        this._startDetectionTicks()
+        this._startSweep(waypoint)
+        await this._dwell(this.effectiveAppearDuration * 1000)
+        this._stopSweep()
+        this._stopDetectionTicks()
+        if (!this.isActive) return
 
         // Run detection
         if (this.detectEnabled) {
-            this._runDetection()
+            await this._runDetection()
         }
 
+        // Detection may have sent the guard after someone
+        if (!this.isActive) return
+
         // Move to next waypoint
-        this._selectNextWaypoint()
+        await this._selectNextWaypoint()
 
         // Continue loop
         if (this.isActive) {
@@ -867,424 +1360,2221 @@ export class Patrol {
         }
     }
 
-    // ==========================================
-    // Waypoint Selection
-    // ==========================================
-
     /**
-     * Select the next waypoint based on pattern
+     * Walk the token to a point along a wall-aware route
+     * @param {Point} destination - Target center point
+     * @returns {Promise<boolean>} False if no route exists
      */
-    _selectNextWaypoint() {
-        const count = this.waypointIds.length
-        if (count === 0) return
+    async _walkTo(destination) {
+        const token = this.token
+        const tokenDoc = this.tokenDocument
+        if (!token || !tokenDoc) return false
+
+        // Keep walking only while the state that started the walk holds
+        const state = this.state
+        const origin = { x: token.center.x, y: token.center.y }
+        const path = getSetting('walkPathfinding', true)
+            ? Pathfinder.findPath(origin, destination)
+            : [destination]
+
+        if (!path) {
+            debug(`No walkable route for ${this.name} to (${destination.x}, ${destination.y})`)
+            return false
+        }
 
-        switch (this.blinkPattern) {
-            case BLINK_PATTERNS.SEQUENTIAL:
-                this.currentWaypointIndex = (this.currentWaypointIndex + 1) % count
-                break
+        let previous = origin
+        const remaining = [...path]
+
+        // Pixels left in this combat step; null while on real time
+        let budget = null
+
+        while (remaining.length > 0) {
+            if (this.state !== state) return true
+
+            let point = remaining[0]
+
+            if (this.isInCombatTime) {
+                budget ??= this._getCombatMoveDistance()
+                if (budget <= 0) {
+                    await this._awaitCombatStep()
+                    budget = null
+                    continue
+                }
+
+                // Stop part way along the segment when the allotment runs out
+                const length = Math.hypot(point.x - previous.x, point.y - previous.y)
+                if (length > budget) {
+                    const t = budget / length
+                    point = {
+                        x: previous.x + (point.x - previous.x) * t,
+                        y: previous.y + (point.y - previous.y) * t
+                    }
+                    budget = 0
+                } else {
+                    remaining.shift()
+                    budget -= length
+                }
+            } else {
+                budget = null
+                remaining.shift()
+            }
+
+            await tokenDoc.update({
+                x: point.x - (token.w / 2),
+                y: point.y - (token.h / 2)
+            }, this._movementOptions())
+            await this._syncSquad({ anchor: point, facing: this._headingBetween(previous, point), animate: true })
+
+            await this._awaitMovement(previous, point)
+            previous = point
+        }
+
+        return true
+    }
+
+    /**
+     * Wait for a movement animation between two points to finish
+     * @param {Point} from
+     * @param {Point} to
+     */
+    async _awaitMovement(from, to) {
+        const animation = this.token?.movementAnimationPromise
+        if (animation) {
+            await animation
+        } else {
+            // Estimate using Foundry's default speed of 6 grid spaces per second
+            const spaces = Math.hypot(to.x - from.x, to.y - from.y) / canvas.grid.size
+            await this._wait((spaces / 6) * 1000)
+        }
+
+        // Hold between steps while the game is paused
+        if (game.paused) await this._wait(0)
+    }
+
+    /**
+     * Token update options for an animated move at the patrol time scale
+     * @returns {Object}
+     */
+    _movementOptions() {
+        return { animate: true, animation: { movementSpeed: 6 * this.timeScale } }
+    }
+
+    /**
+     * Teleport a walking token to a waypoint it cannot reach on foot
+     * @param {Waypoint} waypoint
+     */
+    async _blinkToWaypoint(waypoint) {
+        const token = this.token
+        debug(`${this.name} has no path to ${waypoint.name}, blinking instead`)
+
+        const { PatrolEffects } = game.rnkPatrol
+        if (PatrolEffects && token) {
+            await PatrolEffects.playDisappearEffect({
+                x: token.center.x,
+                y: token.center.y,
+                effectType: this.effectType,
+                color: this.color || waypoint.color,
+                tokenId: this.tokenId
+            })
+        }
+
+        await this._hideToken()
+        await this._phaseAppear()
+        this._currentPhase = 'visible'
+    }
+
+    // ==========================================
+    // Hybrid Mode
+    // ==========================================
+
+    /**
+     * Get how the guard leaves a waypoint in hybrid mode
+     * @param {string} waypointId
+     * @returns {string} One of SEGMENT_MODES
+     */
+    getSegmentMode(waypointId) {
+        return this.segmentModes[waypointId] || SEGMENT_MODES.WALK
+    }
+
+    /**
+     * Set how the guard leaves a waypoint in hybrid mode
+     * @param {string} waypointId
+     * @param {string} segmentMode - One of SEGMENT_MODES
+     */
+    setSegmentMode(waypointId, segmentMode) {
+        if (!segmentMode || segmentMode === SEGMENT_MODES.WALK) {
+            delete this.segmentModes[waypointId]
+        } else {
+            this.segmentModes[waypointId] = segmentMode
+        }
+    }
+
+    /**
+     * Execute one hybrid cycle: dwell at the current waypoint, then leave it
+     * using that waypoint's segment mode
+     */
+    async _executeHybridCycle() {
+        if (!this.isActive || !isPrimaryGM()) return
+
+        if (!this.hasRoute) {
+            warn(`Hybrid cycle aborted - no waypoints configured for ${this.name}`)
+            return
+        }
+
+        try {
+            // Materialize at the starting waypoint
+            if (this._currentPhase === 'invisible') {
+                await this._phaseAppear()
+                if (!this.isActive) return
+            }
+
+            await this._phaseVisible()
+            if (!this.isActive) return
+
+            const segmentMode = this.getSegmentMode(this.currentWaypoint?.id)
+            debug(`${this.name} leaving ${this.currentWaypoint?.name} by ${segmentMode}`)
+
+            switch (segmentMode) {
+                case SEGMENT_MODES.BLINK:
+                    await this._blinkSegment()
+                    break
+
+                case SEGMENT_MODES.WALK_VANISH:
+                    await this._walkSegment()
+                    if (!this.isActive) return
+                    await this._blinkSegment()
+                    break
+
+                default:
+                    await this._walkSegment()
+            }
+
+            if (!this.isActive) return
+
+            this._executeHybridCycle()
+
+        } catch (err) {
+            error('Error in hybrid cycle:', err)
+            this.stop()
+        }
+    }
+
+    /**
+     * Walk from the current waypoint to the next one
+     */
+    async _walkSegment() {
+        const previous = this.currentWaypoint
+        await this._selectNextWaypoint()
+
+        const waypoint = this.currentWaypoint
+        if (!waypoint) return
+
+        previous?.vacate()
+
+        const arrived = await this._walkTo({ x: waypoint.x, y: waypoint.y })
+        if (!this.isActive) return
+
+        if (!arrived) {
+            await this._blinkToWaypoint(waypoint)
+        } else {
+            waypoint.occupy(this.tokenId)
+            await this._updateTokenRotation(waypoint.facingDirection)
+        }
+    }
+
+    /**
+     * Vanish from the current waypoint and reappear at the next one
+     */
+    async _blinkSegment() {
+        await this._phaseDisappear()
+        if (!this.isActive) return
+
+        await this._phaseInvisible()
+        if (!this.isActive) return
+
+        await this._phaseAppear()
+    }
+
+    // ==========================================
+    // Squad
+    // ==========================================
+
+    /**
+     * Check whether this patrol drives more than one token
+     * @returns {boolean}
+     */
+    get isSquad() {
+        return this.memberTokenIds.length > 0
+    }
+
+    /**
+     * Token documents of the squad members (leader excluded)
+     * @returns {TokenDocument[]}
+     */
+    get memberTokenDocuments() {
+        const scene = this.scene
+        if (!scene) return []
+        return this.memberTokenIds
+            .map(id => scene.tokens.get(id))
+            .filter(Boolean)
+    }
+
+    /**
+     * Check whether a token belongs to this patrol, as leader or member
+     * @param {string} tokenId
+     * @returns {boolean}
+     */
+    isSquadToken(tokenId) {
+        return tokenId === this.tokenId || this.memberTokenIds.includes(tokenId)
+    }
+
+    /**
+     * Add a token to the squad
+     * @param {string} tokenId
+     */
+    addMember(tokenId) {
+        if (!tokenId || this.isSquadToken(tokenId)) return
+        this.memberTokenIds.push(tokenId)
+    }
+
+    /**
+     * Remove a token from the squad
+     * @param {string} tokenId
+     * @returns {boolean} True if the token was a member
+     */
+    removeMember(tokenId) {
+        const index = this.memberTokenIds.indexOf(tokenId)
+        if (index < 0) return false
+
+        this.memberTokenIds.splice(index, 1)
+        debug(`${this.name} lost squad member ${tokenId}`)
+        Hooks.callAll('rnkPatrol.squadMemberLost', this, tokenId)
+        return true
+    }
+
+    /**
+     * Hand leadership to the first remaining member
+     * @returns {boolean} False when nobody is left to lead
+     */
+    promoteLeader() {
+        const next = this.memberTokenDocuments[0]
+        if (!next) return false
+
+        const previousId = this.tokenId
+        this.memberTokenIds = this.memberTokenIds.filter(id => id !== next.id)
+        this.tokenId = next.id
+
+        debug(`${this.name} squad is now led by ${next.name}`)
+        Hooks.callAll('rnkPatrol.squadLeaderChanged', this, next.id, previousId)
+        return true
+    }
+
+    /**
+     * Drop members that were removed or defeated, promoting a new leader
+     * if the current one is gone. The patrol keeps running either way
+     */
+    async _pruneSquad() {
+        if (!this.isSquad) return
+
+        const scene = this.scene
+        if (!scene) return
+
+        let changed = false
+        for (const id of [...this.memberTokenIds]) {
+            const doc = scene.tokens.get(id)
+            if (!doc || this._isDefeated(doc)) {
+                changed = this.removeMember(id) || changed
+            }
+        }
+
+        const leader = this.tokenDocument
+        if ((!leader || this._isDefeated(leader)) && this.promoteLeader()) {
+            changed = true
+        }
+
+        if (changed) await this.save()
+    }
+
+    /**
+     * Check whether a squad token is dead or marked defeated
+     * @param {TokenDocument} tokenDoc
+     * @returns {boolean}
+     */
+    _isDefeated(tokenDoc) {
+        const actor = tokenDoc.actor
+        if (!actor) return false
+
+        if (actor.statuses?.has(CONFIG.specialStatusEffects.DEFEATED)) return true
+
+        const hp = getAdapter(game.system.id).getActorHp(actor)
+        return hp !== null && hp !== undefined && Number(hp) <= 0
+    }
+
+    /**
+     * Members that follow the leader. Members fighting in a combat are left
+     * where they stand
+     * @returns {TokenDocument[]}
+     */
+    _getFormationMembers() {
+        const combatants = this._getSceneCombat()?.combatants
+        if (!combatants) return this.memberTokenDocuments
+        return this.memberTokenDocuments.filter(doc => !combatants.some(c => c.tokenId === doc.id))
+    }
+
+    /**
+     * Apply the leader's change to every member: formation position around
+     * an anchor point, visibility and/or rotation
+     * @param {Object} options
+     * @param {Point} options.anchor - Leader center to form up around
+     * @param {number} options.facing - Leader heading in degrees (0 = north)
+     * @param {boolean} options.hidden
+     * @param {number} options.rotation
+     * @param {boolean} options.animate
+     */
+    async _syncSquad({ anchor, facing = 0, hidden, rotation, animate = false } = {}) {
+        const members = this._getFormationMembers()
+        if (members.length === 0) return
+
+        const gridSize = canvas.grid.size
+        const offsets = anchor
+            ? Patrol.getFormationOffsets(this.formation, members.length, this.formationSpacing * gridSize, facing)
+            : []
+
+        const updates = members.map((doc, i) => {
+            const update = { _id: doc.id }
+
+            if (anchor) {
+                let position = { x: anchor.x + offsets[i].x, y: anchor.y + offsets[i].y }
+
+                // Members never stand on the far side of a wall from the leader
+                if (Pathfinder.isBlocked(anchor, position)) position = { ...anchor }
+
+                update.x = position.x - (doc.width * gridSize) / 2
+                update.y = position.y - (doc.height * gridSize) / 2
+                update.rotation = facing
+            }
+            if (hidden !== undefined) update.hidden = hidden
+            if (rotation !== undefined) update.rotation = rotation
+
+            return update
+        })
+
+        const options = animate ? this._movementOptions() : { animate: false }
+        await this.scene.updateEmbeddedDocuments('Token', updates, options)
+    }
+
+    /**
+     * Start the appear/disappear effect on every visible member
+     * @param {string} type - 'appear' or 'disappear'
+     * @param {string} waypointColor
+     * @returns {Promise[]}
+     */
+    _playSquadEffect(type, waypointColor) {
+        const { PatrolEffects } = game.rnkPatrol
+        if (!PatrolEffects) return []
+
+        return this._getFormationMembers()
+            .map(doc => doc.object)
+            .filter(Boolean)
+            .map(token => {
+                if (type === 'appear' && token.mesh) token.mesh.alpha = 0
+
+                const options = {
+                    x: token.center.x,
+                    y: token.center.y,
+                    effectType: this.effectType,
+                    color: this.color || waypointColor,
+                    tokenId: token.id
+                }
+                return type === 'appear'
+                    ? PatrolEffects.playAppearEffect(options)
+                    : PatrolEffects.playDisappearEffect(options)
+            })
+    }
+
+    /**
+     * Player tokens seen by squad members standing at the waypoint
+     * @param {Waypoint} waypoint
+     * @returns {Token[]}
+     */
+    _detectFromSquad(waypoint) {
+        const detected = []
+        for (const doc of this.memberTokenDocuments) {
+            const member = doc.object
+            if (!member || doc.hidden) continue
+
+            const seen = PatrolDetection.detectTokens(member, waypoint.detectionRange, {
+                excludeNPC: true
+            })
+            const range = waypoint.detectionRange * canvas.grid.size
+            for (const token of seen) {
+                if (this.isSquadToken(token.id) || detected.includes(token)) continue
+                if (GuardVision.canSee(member, member.center, token, range, { lineOfSight: true })) detected.push(token)
+            }
+        }
+        return detected
+    }
+
+    /**
+     * Heading in degrees (0 = north, clockwise) from one point to another
+     * @param {Point} from
+     * @param {Point} to
+     * @returns {number}
+     */
+    _headingBetween(from, to) {
+        const degrees = Math.atan2(to.y - from.y, to.x - from.x) * (180 / Math.PI) + 90
+        return ((degrees % 360) + 360) % 360
+    }
+
+    /**
+     * Pixel offsets from the leader for each member of a formation
+     * @param {string} formation - One of FORMATIONS
+     * @param {number} count - Number of members (leader excluded)
+     * @param {number} spacing - Pixels between ranks
+     * @param {number} facing - Leader heading in degrees (0 = north)
+     * @returns {Point[]}
+     */
+    static getFormationOffsets(formation, count, spacing, facing = 0) {
+        const radians = facing * (Math.PI / 180)
+        const forward = { x: Math.sin(radians), y: -Math.cos(radians) }
+        const right = { x: Math.cos(radians), y: Math.sin(radians) }
+        const offsets = []
+
+        for (let i = 0; i < count; i++) {
+            const rank = Math.floor(i / 2) + 1
+            const side = i % 2 === 0 ? 1 : -1
+            let back = 0
+            let across = 0
+
+            switch (formation) {
+                case FORMATIONS.LINE:
+                    across = side * rank
+                    break
+
+                case FORMATIONS.COLUMN:
+                    back = i + 1
+                    break
+
+                case FORMATIONS.CLUSTER: {
+                    // Rings of six around the leader
+                    const ring = Math.floor(i / 6) + 1
+                    const slots = Math.min(6, count - (ring - 1) * 6)
+                    const angle = ((i % 6) / slots) * Math.PI * 2
+                    offsets.push({
+                        x: Math.round(Math.cos(angle) * ring * spacing),
+                        y: Math.round(Math.sin(angle) * ring * spacing)
+                    })
+                    continue
+                }
+
+                default:
+                    // Wedge
+                    back = rank
+                    across = side * rank
+            }
+
+            offsets.push({
+                x: Math.round((right.x * across - forward.x * back) * spacing),
+                y: Math.round((right.y * across - forward.y * back) * spacing)
+            })
+        }
+
+        return offsets
+    }
+
+    // ==========================================
+    // Scene Portals
+    // ==========================================
+
+    /**
+     * Cross to another scene if the guard stands on a portal waypoint
+     * @returns {Promise<boolean>} True if the patrol left this scene
+     */
+    async _takePortal() {
+        const portal = this.currentWaypoint
+        const justArrived = this._arrivedViaPortal !== null && this._arrivedViaPortal === portal?.id
+        this._arrivedViaPortal = null
+
+        if (!portal?.isPortal || justArrived || portal.link.sceneId === this.sceneId) return false
+
+        const targetScene = game.scenes.get(portal.link.sceneId)
+        const destination = portal.linkedWaypoint
+        if (!targetScene || !destination) {
+            warn(`Portal ${portal.name} of ${this.name} leads nowhere, staying on this scene`)
+            return false
+        }
+
+        debug(`${this.name} crossing from ${this.scene?.name} to ${targetScene.name} through ${portal.name}`)
+
+        if (this.tokenDocument && !this.tokenDocument.hidden) {
+            await this._phaseDisappear()
+        }
+        portal.vacate()
+
+        const fromSceneId = this.sceneId
+        if (!(await this._transferTokens(targetScene, destination))) {
+            warn(`Could not move ${this.name} to ${targetScene.name}`)
+            return false
+        }
+
+        // Swap in the route leg for the new scene; by default every waypoint there
+        this.sceneRoutes[fromSceneId] = [...this.waypointIds]
+        let leg = this.sceneRoutes[targetScene.id] ?? Waypoint.getSceneWaypoints(targetScene.id)
+            .filter(w => !w.disabled)
+            .map(w => w.id)
+        if (!leg.includes(destination.id)) leg = [destination.id, ...leg]
+
+        this.waypointIds = [...leg]
+        this.currentWaypointIndex = leg.indexOf(destination.id)
+        this._waypointCache.clear()
+        this._previousWaypointId = null
+        this._loopPlan = []
+        this._roamWaypoint = null
+        this._arrivedViaPortal = destination.id
+        this._currentPhase = 'invisible'
+
+        await this._moveToScene(targetScene.id)
+
+        Hooks.callAll('rnkPatrol.sceneChanged', this, targetScene.id, fromSceneId)
+
+        // The saved patrol resumes from the destination when its scene is
+        // loaded; this instance stops unless that scene is the one running here
+        if (!this._manager?.handleSceneTransfer(this)) {
+            await this._manager?.saveTransferState(this)
+            this._clearTimers()
+            this.state = PATROL_STATES.IDLE
+        }
+
+        return true
+    }
+
+    /**
+     * Recreate the guard (and squad) at a waypoint on another scene, hidden,
+     * and remove the originals
+     * @param {Scene} targetScene
+     * @param {Waypoint} destination
+     * @returns {Promise<boolean>}
+     */
+    async _transferTokens(targetScene, destination) {
+        const leader = this.tokenDocument
+        if (!leader) return false
+
+        const members = this.memberTokenDocuments
+        const gridSize = targetScene.grid?.size || canvas.dimensions.size
+
+        const tokenData = [leader, ...members].map(doc => {
+            const data = doc.toObject()
+            delete data._id
+            data.x = destination.x - (data.width * gridSize) / 2
+            data.y = destination.y - (data.height * gridSize) / 2
+            data.hidden = true
+            return data
+        })
+
+        const created = await targetScene.createEmbeddedDocuments('Token', tokenData)
+        if (!created?.length) return false
+
+        // Reassign before deleting so the token-delete hooks ignore the originals
+        const oldScene = this.scene
+        const oldIds = [leader.id, ...members.map(m => m.id)]
+        this.tokenId = created[0].id
+        this.memberTokenIds = created.slice(1).map(doc => doc.id)
+
+        try {
+            await oldScene.deleteEmbeddedDocuments('Token', oldIds)
+        } catch (err) {
+            warn(`Could not remove ${this.name} from ${oldScene.name}:`, err)
+        }
+
+        return true
+    }
+
+    /**
+     * Move this patrol's saved record to another scene
+     * @param {string} sceneId
+     */
+    async _moveToScene(sceneId) {
+        const allPatrols = game.settings.get(MODULE_ID, 'scenePatrolData') || {}
+        allPatrols[this.sceneId] = (allPatrols[this.sceneId] || []).filter(p => p.id !== this.id)
+
+        this.sceneId = sceneId
+        allPatrols[sceneId] = [...(allPatrols[sceneId] || []).filter(p => p.id !== this.id), this.toJSON()]
+
+        await game.settings.set(MODULE_ID, 'scenePatrolData', allPatrols)
+    }
+
+    // ==========================================
+    // Area Patrols
+    // ==========================================
+
+    /**
+     * Check whether this patrol roams an area instead of following waypoints
+     * @returns {boolean}
+     */
+    get isAreaPatrol() {
+        return !!(this.area.type && this.area.id)
+    }
+
+    /**
+     * Check whether the patrol has anywhere to go
+     * @returns {boolean}
+     */
+    get hasRoute() {
+        return this.isAreaPatrol || this.waypointIds.length > 0
+    }
+
+    /**
+     * Polygons of the roaming area in scene coordinates
+     * @returns {Array<PIXI.Polygon>}
+     */
+    get areaPolygons() {
+        return AreaSampler.getPolygons(this.scene, this.area)
+    }
+
+    /**
+     * The roaming point, created on first use where the guard stands (or
+     * somewhere in the area if the guard starts outside it)
+     * @returns {Waypoint}
+     */
+    _getRoamWaypoint() {
+        if (this._roamWaypoint) return this._roamWaypoint
+
+        const center = this.token?.center
+        this._roamWaypoint = new Waypoint({
+            id: `${this.id}-area`,
+            sceneId: this.sceneId,
+            name: this.name,
+            x: center?.x ?? 0,
+            y: center?.y ?? 0,
+            detectionRange: this.area.detectionRange ?? undefined,
+            transient: true
+        })
+        this._roamWaypoint._patrol = this
+
+        if (!center || !AreaSampler.contains(this.areaPolygons, center)) {
+            this._selectAreaPoint()
+        }
+
+        return this._roamWaypoint
+    }
+
+    /**
+     * Move the roaming point somewhere new inside the area, at least
+     * `minSpacing` from the last point and clear of other guards
+     * @param {Object} [options]
+     * @param {boolean} [options.pathfind=true] - Check walkers can reach the point
+     * @returns {boolean} False if no acceptable point was found
+     */
+    _selectAreaPoint({ pathfind = true } = {}) {
+        const roam = this._getRoamWaypoint()
+        const gridSize = canvas.grid.size
+
+        // Walkers must be able to get there from where they stand
+        const origin = this.token?.center ?? { x: roam.x, y: roam.y }
+        const walks = pathfind && this.mode !== PATROL_MODES.BLINK && getSetting('walkPathfinding', true)
+
+        const point = AreaSampler.samplePoint(this.areaPolygons, {
+            previous: { x: roam.x, y: roam.y },
+            minSpacing: (Number(this.area.minSpacing) || 0) * gridSize,
+            avoid: this._getOtherGuardPositions(),
+            avoidRadius: (Number(this.area.avoidGuards) || 0) * gridSize,
+            isReachable: walks
+                ? (candidate) => Pathfinder.findPath(origin, candidate, { maxNodes: 1500 }) !== null
+                : undefined
+        })
+
+        if (!point) {
+            debug(`No free point in the area of ${this.name}, holding position`)
+            return false
+        }
+
+        roam.vacate()
+        roam.x = point.x
+        roam.y = point.y
+        return true
+    }
+
+    /**
+     * Where the other guards on this scene are, or are about to be
+     * @returns {Point[]}
+     */
+    _getOtherGuardPositions() {
+        if (!this.area.avoidGuards) return []
+
+        const positions = []
+        for (const patrol of game.rnkPatrol?.manager?.getPatrols() ?? []) {
+            if (patrol === this || patrol.sceneId !== this.sceneId) continue
+
+            const token = patrol.tokenDocument
+            if (token && !token.hidden && token.object) positions.push(token.object.center)
+
+            const target = patrol.isAreaPatrol ? patrol._roamWaypoint : patrol.currentWaypoint
+            if (target) positions.push({ x: target.x, y: target.y })
+        }
+        return positions
+    }
+
+    /**
+     * Blink pursuit for an area patrol: reappear at the target's last known
+     * position as long as it is inside the area
+     * @param {Point} lastKnown
+     * @param {boolean} lostSight
+     * @returns {Promise<boolean>} False to give up
+     */
+    async _pursueInArea(lastKnown, lostSight) {
+        if (!AreaSampler.contains(this.areaPolygons, lastKnown)) return false
+
+        const roam = this._getRoamWaypoint()
+        const close = Math.hypot(roam.x - lastKnown.x, roam.y - lastKnown.y) < canvas.grid.size
+
+        if (close && this.isTokenVisible) {
+            if (lostSight) return false
+            await this._wait(this.effectiveAppearDuration * 1000)
+            return true
+        }
+
+        if (this.isTokenVisible) {
+            await this._phaseDisappear()
+        }
+        if (!this.isPursuing) return false
+
+        roam.x = lastKnown.x
+        roam.y = lastKnown.y
+        await this._phaseAppear()
+        this._currentPhase = 'visible'
+
+        await this._wait(Math.min(this.effectiveAppearDuration, 1) * 1000)
+        return true
+    }
+
+    // ==========================================
+    // Waypoint Selection
+    // ==========================================
+
+    /**
+     * Select the next waypoint based on pattern, skipping waypoints
+     * whose conditions currently fail
+     * @param {Object} [options] - Passed to _selectAreaPoint
+     * @param {Object} [options.conditions] - Passed to WaypointConditions.evaluate
+     */
+    async _selectNextWaypoint(options = {}) {
+        if (await this._takePortal()) return
+
+        if (this.isAreaPatrol) {
+            this._selectAreaPoint(options)
+            return
+        }
+
+        const count = this.waypointIds.length
+        if (count === 0) return
+
+        const eligible = await this._getEligibleIndices(options.conditions)
+        if (eligible.length === 0) {
+            debug(`No eligible waypoints for ${this.name}, holding position`)
+            return
+        }
+
+        const previousIndex = this.currentWaypointIndex
+
+        switch (this.activeBlinkPattern) {
+            case BLINK_PATTERNS.SEQUENTIAL:
+                this.currentWaypointIndex = this._selectSequentialWaypoint(eligible)
+                break
 
             case BLINK_PATTERNS.RANDOM:
-                this.currentWaypointIndex = Math.floor(Math.random() * count)
+                this.currentWaypointIndex = eligible[Math.floor(Math.random() * eligible.length)]
+                break
+
+            case BLINK_PATTERNS.WEIGHTED:
+                this.currentWaypointIndex = this._selectWeightedWaypoint(eligible)
+                break
+
+            case BLINK_PATTERNS.PING_PONG:
+                this._selectPingPongWaypoint(eligible)
+                break
+
+            case BLINK_PATTERNS.PRIORITY:
+                this.currentWaypointIndex = this._selectPriorityWaypoint(eligible)
+                break
+
+            case BLINK_PATTERNS.RANDOM_WALK:
+                this.currentWaypointIndex = this._selectGraphWaypoint(eligible, false)
+                break
+
+            case BLINK_PATTERNS.WEIGHTED_EDGE:
+                this.currentWaypointIndex = this._selectGraphWaypoint(eligible, true)
+                break
+
+            case BLINK_PATTERNS.SHORTEST_LOOP:
+                this.currentWaypointIndex = this._selectLoopWaypoint(eligible)
+                break
+        }
+
+        if (this.currentWaypointIndex !== previousIndex) {
+            this._previousWaypointId = this.waypointIds[previousIndex] ?? null
+        }
+
+        debug(`Next waypoint index: ${this.currentWaypointIndex}`)
+    }
+
+    /**
+     * Get route indices whose waypoints exist, are enabled, belong to the
+     * current watch and pass their conditions
+     * @param {Object} [conditions] - Passed to WaypointConditions.evaluate
+     * @returns {Promise<number[]>}
+     */
+    async _getEligibleIndices(conditions = {}) {
+        const eligible = []
+
+        for (let i = 0; i < this.waypointIds.length; i++) {
+            const waypoint = this.getWaypoint(this.waypointIds[i])
+            if (!waypoint || waypoint.disabled) continue
+            if (!this.isWaypointOnWatch(waypoint.id)) continue
+            if (await WaypointConditions.evaluate(waypoint, this, conditions)) {
+                eligible.push(i)
+            }
+        }
+
+        return eligible
+    }
+
+    /**
+     * Select the next eligible waypoint in route order
+     * @param {number[]} eligible
+     * @returns {number}
+     */
+    _selectSequentialWaypoint(eligible) {
+        const count = this.waypointIds.length
+
+        for (let step = 1; step <= count; step++) {
+            const index = (this.currentWaypointIndex + step) % count
+            if (eligible.includes(index)) return index
+        }
+
+        return this.currentWaypointIndex
+    }
+
+    /**
+     * Select waypoint based on weights
+     * @param {number[]} eligible
+     * @returns {number}
+     */
+    _selectWeightedWaypoint(eligible) {
+        const weights = eligible.map(i => this.getWaypoint(this.waypointIds[i])?.weight || 1)
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0)
+
+        let random = Math.random() * totalWeight
+
+        for (let i = 0; i < eligible.length; i++) {
+            random -= weights[i]
+            if (random <= 0) return eligible[i]
+        }
+
+        return eligible[0]
+    }
+
+    /**
+     * Select waypoint in ping-pong pattern, bouncing off the route ends
+     * @param {number[]} eligible
+     */
+    _selectPingPongWaypoint(eligible) {
+        const count = this.waypointIds.length
+        if (count < 2) return
+
+        let index = this.currentWaypointIndex
+
+        for (let attempt = 0; attempt < count * 2; attempt++) {
+            let next = index + this._patrolDirection
+            if (next >= count || next < 0) {
+                this._patrolDirection *= -1
+                next = index + this._patrolDirection
+            }
+            index = next
+
+            if (eligible.includes(index)) {
+                this.currentWaypointIndex = index
+                return
+            }
+        }
+    }
+
+    /**
+     * Select highest priority eligible waypoint
+     * @param {number[]} eligible
+     * @returns {number}
+     */
+    _selectPriorityWaypoint(eligible) {
+        let maxPriority = -Infinity
+        let maxIndex = eligible[0]
+
+        for (const i of eligible) {
+            const priority = this.getWaypoint(this.waypointIds[i])?.priority ?? 0
+            if (priority > maxPriority) {
+                maxPriority = priority
+                maxIndex = i
+            }
+        }
+
+        return maxIndex
+    }
+
+    /**
+     * Follow an outgoing edge of the route graph. Doubling back is only
+     * chosen when it is the sole way on
+     * @param {number[]} eligible
+     * @param {boolean} weighted - Pick by edge weight instead of uniformly
+     * @returns {number}
+     */
+    _selectGraphWaypoint(eligible, weighted) {
+        const currentId = this.waypointIds[this.currentWaypointIndex]
+        let options = this.getRouteGraph().outgoing(currentId)
+            .map(edge => ({ ...edge, index: this.waypointIds.indexOf(edge.to) }))
+            .filter(edge => eligible.includes(edge.index))
+
+        if (options.length === 0) {
+            // Dead end or every neighbor is unavailable - leave for any eligible waypoint
+            debug(`${this.name} has no open edge from ${currentId}`)
+            const others = eligible.filter(i => i !== this.currentWaypointIndex)
+            if (others.length === 0) return this.currentWaypointIndex
+            return others[Math.floor(Math.random() * others.length)]
+        }
+
+        const forward = options.filter(edge => edge.to !== this._previousWaypointId)
+        if (forward.length > 0) options = forward
+
+        if (!weighted) {
+            return options[Math.floor(Math.random() * options.length)].index
+        }
+
+        const totalWeight = options.reduce((sum, edge) => sum + edge.weight, 0)
+        if (totalWeight <= 0) return options[0].index
+
+        let random = Math.random() * totalWeight
+        for (const edge of options) {
+            random -= edge.weight
+            if (random <= 0) return edge.index
+        }
+
+        return options[options.length - 1].index
+    }
+
+    /**
+     * Step along a shortest tour through every eligible waypoint, planning
+     * a new tour each time the previous one completes
+     * @param {number[]} eligible
+     * @returns {number}
+     */
+    _selectLoopWaypoint(eligible) {
+        const eligibleIds = new Set(eligible.map(i => this.waypointIds[i]))
+        const currentId = this.waypointIds[this.currentWaypointIndex]
+
+        // Drop stops that became unavailable since the tour was planned
+        this._loopPlan = this._loopPlan.filter(id => eligibleIds.has(id))
+
+        if (this._loopPlan.length === 0) {
+            this._loopPlan = this.getRouteGraph().planLoop(
+                currentId,
+                [...eligibleIds],
+                (a, b) => this._waypointDistance(a, b),
+                id => eligibleIds.has(id)
+            )
+        }
+
+        const next = this._loopPlan.shift()
+        if (!next) return this._selectGraphWaypoint(eligible, false)
+
+        return this.waypointIds.indexOf(next)
+    }
+
+    /**
+     * Distance in pixels between two waypoints
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {number}
+     */
+    _waypointDistance(fromId, toId) {
+        const a = this.getWaypoint(fromId)
+        const b = this.getWaypoint(toId)
+        if (!a || !b) return Infinity
+        return Math.hypot(b.x - a.x, b.y - a.y)
+    }
+
+    // ==========================================
+    // Token Control
+    // ==========================================
+
+    /**
+     * Find a valid position near the waypoint that doesn't collide with walls
+     * @param {number} targetX - Target X coordinate (center)
+     * @param {number} targetY - Target Y coordinate (center)
+     * @param {number} tokenWidth - Token width in pixels
+     * @param {number} tokenHeight - Token height in pixels
+     * @returns {{x: number, y: number}} - Valid position (top-left corner)
+     */
+    _findValidPosition(targetX, targetY, tokenWidth, tokenHeight) {
+        const offsetX = tokenWidth / 2
+        const offsetY = tokenHeight / 2
+        
+        // Base position (top-left corner from center)
+        let bestX = targetX - offsetX
+        let bestY = targetY - offsetY
+        
+        // Check if we have wall collision detection available
+        if (!canvas.walls?.checkCollision) {
+            return { x: bestX, y: bestY }
+        }
+        
+        // Test if the center point has collision
+        const origin = { x: targetX, y: targetY }
+        
+        // Check collision from center to slightly offset positions
+        // If there's a wall at the exact position, try nearby positions
+        const gridSize = canvas.grid.size
+        const searchOffsets = [
+            { dx: 0, dy: 0 },           // Original position
+            { dx: gridSize, dy: 0 },    // Right
+            { dx: -gridSize, dy: 0 },   // Left
+            { dx: 0, dy: gridSize },    // Down
+            { dx: 0, dy: -gridSize },   // Up
+            { dx: gridSize, dy: gridSize },    // Diagonal
+            { dx: -gridSize, dy: gridSize },
+            { dx: gridSize, dy: -gridSize },
+            { dx: -gridSize, dy: -gridSize },
+            { dx: gridSize * 2, dy: 0 },  // Further out
+            { dx: -gridSize * 2, dy: 0 },
+            { dx: 0, dy: gridSize * 2 },
+            { dx: 0, dy: -gridSize * 2 }
+        ]
+        
+        for (const offset of searchOffsets) {
+            const testX = targetX + offset.dx
+            const testY = targetY + offset.dy
+            
+            // Check collision using ray from a point slightly away
+            const testOrigin = { x: testX - 1, y: testY - 1 }
+            const testDest = { x: testX + 1, y: testY + 1 }
+            
+            try {
+                const hasCollision = canvas.walls.checkCollision(
+                    new Ray(testOrigin, testDest),
+                    { type: 'move', mode: 'any' }
+                )
+                
+                if (!hasCollision) {
+                    return { 
+                        x: testX - offsetX, 
+                        y: testY - offsetY 
+                    }
+                }
+            } catch (e) {
+                // If collision check fails, just use this position
+                return { 
+                    x: testX - offsetX, 
+                    y: testY - offsetY 
+                }
+            }
+        }
+        
+        // If all positions have collision, use original
+        return { x: bestX, y: bestY }
+    }
+
+    /**
+     * Move token to waypoint position
+     * @param {Waypoint} waypoint
+     * @param {boolean} visible
+     */
+    async _moveTokenToWaypoint(waypoint, visible = true) {
+        const tokenDoc = this.tokenDocument
+        if (!tokenDoc) return
+
+        // Calculate token dimensions
+        const token = this.token
+        const tokenWidth = token ? token.w : canvas.grid.size
+        const tokenHeight = token ? token.h : canvas.grid.size
+
+        // Find a valid position that doesn't collide with walls
+        const validPos = this._findValidPosition(
+            waypoint.x, 
+            waypoint.y, 
+            tokenWidth, 
+            tokenHeight
+        )
+
+        await tokenDoc.update({
+            x: validPos.x,
+            y: validPos.y,
+            hidden: !visible
+        }, { animate: false })
+
+        await this._syncSquad({
+            anchor: { x: validPos.x + tokenWidth / 2, y: validPos.y + tokenHeight / 2 },
+            facing: waypoint.facingDirection,
+            hidden: !visible
+        })
+    }
+
+    /**
+     * Show the token
+     */
+    async _showToken() {
+        const tokenDoc = this.tokenDocument
+        if (!tokenDoc) return
+
+        await tokenDoc.update({ hidden: false }, { animate: false })
+        await this._syncSquad({ hidden: false })
+
+        // Emit for visual sync
+        emitSocket('tokenAppear', {
+            tokenId: this.tokenId,
+            x: tokenDoc.x,
+            y: tokenDoc.y
+        })
+    }
+
+    /**
+     * Hide the token
+     */
+    async _hideToken() {
+        const tokenDoc = this.tokenDocument
+        if (!tokenDoc) return
+
+        await tokenDoc.update({ hidden: true }, { animate: false })
+        await this._syncSquad({ hidden: true })
+
+        // Emit for visual sync
+        emitSocket('tokenDisappear', {
+            tokenId: this.tokenId,
+            x: tokenDoc.x,
+            y: tokenDoc.y
+        })
+    }
+
+    /**
+     * Update token rotation
+     * @param {number} degrees
+     */
+    async _updateTokenRotation(degrees) {
+        const tokenDoc = this.tokenDocument
+        if (!tokenDoc) return
+
+        await tokenDoc.update({ rotation: degrees }, { animate: false })
+        await this._syncSquad({ rotation: degrees })
+    }
+
+    /**
+     * Start turning the guard through the waypoint's sweep. The waypoint's
+     * vision cone follows, so detection only sees where the guard looks
+     * @param {Waypoint} waypoint
+     */
+    _startSweep(waypoint) {
+        this._stopSweep()
+
+        const angles = waypoint?.getSweepAngles() ?? []
+        if (angles.length === 0) return
+
+        this._sweepWaypoint = waypoint
+        let index = 0
+
+        const look = () => {
+            const heading = angles[index++ % angles.length]
+            waypoint.setLookDirection(heading)
+            this._updateTokenRotation(heading).catch(err => debug('Sweep rotation failed:', err))
+        }
+        look()
+
+        const interval = Math.max(250, (Number(waypoint.sweep.interval) || 1.5) * 1000 / this.timeScale)
+        this._sweepInterval = setInterval(() => {
+            if (this.isActive && !game.paused && !this.isInCombatTime) look()
+        }, interval)
+    }
+
+    /**
+     * Stop the sweep and point the waypoint's cone back at its facing
+     */
+    _stopSweep() {
+        if (this._sweepInterval) {
+            clearInterval(this._sweepInterval)
+            this._sweepInterval = null
+        }
+        this._sweepWaypoint?.setLookDirection(null)
+        this._sweepWaypoint = null
+    }
+
+    // ==========================================
+    // Detection
+    // ==========================================
+
+    /**
+     * Run detection check
+     */
+    _runDetection() {
+        const waypoint = this.currentWaypoint
+        if (!waypoint) return
+
+        // The waypoint sets where the guard looks; its sight decides what it makes out
+        const inView = waypoint.detectPlayerTokens()
+            .filter(token => GuardVision.canSee(this.token, waypoint, token, waypoint.detectionRadiusPixels))
+
+        // Squad members share what they see
+        for (const token of this._detectFromSquad(waypoint)) {
+            if (!inView.includes(token)) inView.push(token)
+        }
+
+        // Cleared tokens are waved through without a second look
+        const clearances = new Map(inView.map(token => [token.id, clearanceSystem.check(this, token)]))
+        const suspects = inView.filter(token => clearances.get(token.id).result !== CLEARANCE_RESULTS.IGNORE)
+
+        const unhidden = this._contestStealth(suspects, waypoint)
+
+        // The guard has to be sure before it acts
+        const detectedTokens = this._updateSuspicion(unhidden, waypoint)
+
+        for (const token of detectedTokens) {
+            this._lastSeen.set(token.id, { x: token.center.x, y: token.center.y })
+            if (!this._detectedTokens.has(token.id)) {
+                this._detectedTokens.add(token.id)
+                const { result, rule } = clearances.get(token.id) ?? {}
+                if (result === CLEARANCE_RESULTS.CHALLENGE) this._challengeToken(token, rule)
+                else this._handleDetection(token)
+            }
+        }
+
+        // Tokens that slipped out of sight are remembered where they were last seen
+        const currentIds = new Set(detectedTokens.map(t => t.id))
+        for (const id of this._detectedTokens) {
+            if (!currentIds.has(id)) {
+                this._detectedTokens.delete(id)
+                const lastKnown = this._lastSeen.get(id)
+                this._lastSeen.delete(id)
+                if (this._challengedTokens.delete(id)) continue
+                if (lastKnown && this.investigateCycles > 0 && this.isActive) {
+                    this.investigate(lastKnown, { tokenId: id })
+                }
+            }
+        }
+
+        if (bodySystem.isEnabled) this._searchForBodies(waypoint)
+    }
+
+    /**
+     * Keep only the tokens in view that fail to sneak past the guard. A
+     * token is contested once when it comes into view; one already
+     * spotted stays spotted until it leaves. Contests post to chat, so they
+     * are not waited on: a token counts once its contest settles, on a
+     * later pass
+     * @param {Token[]} tokens - Tokens inside the detection area
+     * @param {Waypoint} waypoint
+     * @returns {Token[]}
+     */
+    _contestStealth(tokens, waypoint) {
+        const ids = new Set(tokens.map(t => t.id))
+        for (const id of this._stealthResults.keys()) {
+            if (!ids.has(id)) this._stealthResults.delete(id)
+        }
+
+        const guard = this.token
+        if (!StealthContest.isEnabled || !guard?.actor) return tokens
+
+        const spotted = []
+        for (const token of tokens) {
+            if (this._detectedTokens.has(token.id) || !token.actor) {
+                spotted.push(token)
+                continue
+            }
+
+            let contest = this._stealthResults.get(token.id)
+            if (!contest) {
+                contest = { spotted: null }
+                this._stealthResults.set(token.id, contest)
+                StealthContest.contest(guard, token, { waypoint })
+                    .then(result => { contest.spotted = result.spotted })
+                    .catch(err => {
+                        error('Stealth contest failed, treating the token as seen:', err)
+                        contest.spotted = true
+                    })
+            }
+
+            if (contest.spotted) spotted.push(token)
+        }
+
+        return spotted
+    }
+
+    /**
+     * Fill the suspicion meters of the tokens in view and drain the rest.
+     * Tokens already detected stay full while they remain in view
+     * @param {Token[]} tokens - Tokens the guard could spot
+     * @param {Waypoint} waypoint
+     * @returns {Token[]} Tokens whose meter is full
+     */
+    _updateSuspicion(tokens, waypoint) {
+        const now = Date.now()
+        const elapsed = this._suspicionTick ? (now - this._suspicionTick) / 1000 : SuspicionMeter.FIRST_TICK
+        this._suspicionTick = now
+
+        if (!SuspicionMeter.isEnabled) {
+            if (this._suspicion.size) {
+                this._suspicion.clear()
+                SuspicionMeter.show(this)
+            }
+            return tokens
+        }
+
+        const { sure, suspicious } = SuspicionMeter.update(this._suspicion, tokens, {
+            guard: this.token,
+            waypoint,
+            detected: this._detectedTokens,
+            elapsed
+        })
+        for (const token of suspicious) {
+            this.raiseAlert(ALERT_STATES.SUSPICIOUS, { reason: 'suspicion', target: token })
+        }
+
+        SuspicionMeter.show(this)
+        return sure
+    }
+
+    /**
+     * Stop a token whose clearance only earns it a challenge. The guard
+     * grows suspicious and the token's owners are asked how they answer,
+     * instead of the detection action running
+     * @param {Token} token
+     * @param {Object} rule - The clearance rule that matched
+     */
+    _challengeToken(token, rule) {
+        debug(`${this.name} challenges ${token.name}`)
+
+        this._challengedTokens.add(token.id)
+        this.raiseAlert(ALERT_STATES.SUSPICIOUS, { reason: 'challenge', target: token })
+        this._promptPlayerInteraction(token, { challenge: true })
+
+        Hooks.callAll('rnkPatrol.challenge', this, token, rule)
+    }
+
+    /**
+     * A challenged token failed to satisfy the guard; treat it as detected
+     * @param {Token} token
+     */
+    async failChallenge(token) {
+        this._challengedTokens.delete(token.id)
+        await this._handleDetection(token)
+    }
+
+    // ==========================================
+    // Bodies
+    // ==========================================
+
+    /**
+     * Look for bodies and missing comrades the guard can see from the waypoint
+     * @param {Waypoint} waypoint
+     */
+    _searchForBodies(waypoint) {
+        const guard = this.token
+        if (!guard) return
+
+        for (const token of waypoint.getTokensInRange()) {
+            if (token.id === this.tokenId || this._foundBodies.has(token.id)) continue
+            if (!bodySystem.isBody(token)) continue
+            if (!GuardVision.canSee(guard, waypoint, token, waypoint.detectionRadiusPixels, { lineOfSight: true })) continue
+
+            this._discover({ id: token.id, name: token.name, x: token.center.x, y: token.center.y, token })
+        }
+
+        // A missing comrade is noticed by looking at where it should be standing
+        for (const record of bodySystem.getMissing()) {
+            const key = `missing.${record.id}`
+            if (this._foundBodies.has(key)) continue
+            if (!waypoint.isInRange(record) || !waypoint.isInVisionCone(record)) continue
+            if (!PatrolDetection._hasLineOfSight(waypoint, record)) continue
+
+            this._discover({ ...record, id: key, missing: true })
+        }
+    }
+
+    /**
+     * React to a body or missing comrade: search the area around it
+     * @param {Object} discovery
+     * @param {string} discovery.id - Token ID, or "missing.<token ID>"
+     * @param {string} discovery.name
+     * @param {number} discovery.x
+     * @param {number} discovery.y
+     * @param {Token} [discovery.token] - The body, if it is still on the scene
+     * @param {boolean} [discovery.missing] - Whether this is a deleted patrol token
+     */
+    _discover(discovery) {
+        debug(`${this.name} found ${discovery.missing ? 'a missing comrade' : 'a body'}: ${discovery.name}`)
+
+        this._foundBodies.add(discovery.id)
+        Hooks.callAll('rnkPatrol.bodyFound', this, discovery)
+        bodySystem.notify(this, discovery)
+
+        const point = { x: discovery.x, y: discovery.y }
+        const target = discovery.token ?? null
+        if (this.investigateCycles > 0 && this.isActive && this.state !== PATROL_STATES.INVESTIGATING) {
+            this.investigate(point, { reason: 'body' })
+        } else {
+            this.raiseAlert(ALERT_STATES.INVESTIGATING, { reason: 'body', target })
+        }
+    }
+
+    /**
+     * Handle token detection
+     * @param {Token} token
+     */
+    async _handleDetection(token) {
+        debug(`Detection! ${this.name} spotted ${token.name}`)
+
+        this.raiseAlert(ALERT_STATES.ALERT, { reason: 'detection', target: token })
+
+        // Execute detection action
+        switch (this.detectionAction) {
+            case 'notify':
+                ui.notifications.warn(
+                    game.i18n.format(`${MODULE_ID}.notifications.detected`, {
+                        patrol: this.name,
+                        token: token.name
+                    })
+                )
                 break
 
-            case BLINK_PATTERNS.WEIGHTED:
-                this.currentWaypointIndex = this._selectWeightedWaypoint()
+            case 'alert':
+                this.state = PATROL_STATES.ALERT
+                // Could trigger faster patrol, change pattern, etc.
                 break
 
-            case BLINK_PATTERNS.PING_PONG:
-                this._selectPingPongWaypoint()
+            case 'combat':
+                await this._initiateCombat(token)
                 break
 
-            case BLINK_PATTERNS.PRIORITY:
-                this.currentWaypointIndex = this._selectPriorityWaypoint()
+            case 'macro':
+                await this._executeMacro(token)
+                break
+
+            case 'pursue':
+                ui.notifications.warn(
+                    game.i18n.format(`${MODULE_ID}.detection.pursuing`, {
+                        patrol: this.name,
+                        target: token.name
+                    })
+                )
+                await this.setPursuitTarget(token)
                 break
         }
 
-        debug(`Next waypoint index: ${this.currentWaypointIndex}`)
+        // Emit alert
+        emitSocket('alertTriggered', {
+            patrolId: this.id,
+            patrolName: this.name,
+            tokenId: token.id,
+            tokenName: token.name,
+            alertLevel: this.alertLevel,
+            alertState: this.alertState
+        })
+
+        this._promptPlayerInteraction(token)
+
+        Hooks.callAll('rnkPatrol.detection', this, token)
     }
 
     /**
-     * Select waypoint based on weights
-     * @returns {number}
+     * Prompt the player owner(s) of the detected token with an interaction dialog
+     * @param {Token} token
+     * @param {Object} options
+     * @param {boolean} options.challenge - The guard demands the token identify itself
      */
-    _selectWeightedWaypoint() {
-        const waypoints = this.waypoints
-        const totalWeight = waypoints.reduce((sum, w) => sum + (w.weight || 1), 0)
+    _promptPlayerInteraction(token, { challenge = false } = {}) {
+        if (!game.user.isGM) return
+        if (!token.actor) return
 
-        let random = Math.random() * totalWeight
+        const ownerUsers = this._getPlayerOwnersForToken(token)
+        if (!ownerUsers.length) return
 
-        for (let i = 0; i < waypoints.length; i++) {
-            random -= waypoints[i].weight || 1
-            if (random <= 0) return i
+        for (const owner of ownerUsers) {
+            emitSocket('openInteractionWindow', {
+                targetUserId: owner.id,
+                patrolId: this.id,
+                patrolName: this.name,
+                tokenId: token.id,
+                tokenName: token.name,
+                alertLevel: this.alertLevel,
+                challenge
+            })
         }
-
-        return 0
     }
 
     /**
-     * Select waypoint in ping-pong pattern
+     * Get all non-GM owners for the token
+     * @param {Token} token
+     * @returns {User[]}
      */
-    _selectPingPongWaypoint() {
-        const count = this.waypointIds.length
+    _getPlayerOwnersForToken(token) {
+        const actor = token.actor
+        if (!actor) return []
+
+        return game.users.filter(user => {
+            if (user.isGM) return false
+            // Use string permission level for V13 compatibility
+            return actor.testUserPermission(user, "OWNER")
+        })
+    }
 
-        this.currentWaypointIndex += this._patrolDirection
+    /**
+     * Initiate combat with detected token
+     * @param {Token} token
+     */
+    async _initiateCombat(token) {
+        const combat = game.combat || await Combat.create({ scene: this.sceneId })
 
-        if (this.currentWaypointIndex >= count - 1) {
-            this.currentWaypointIndex = count - 1
-            this._patrolDirection = -1
-        } else if (this.currentWaypointIndex <= 0) {
-            this.currentWaypointIndex = 0
-            this._patrolDirection = 1
+        // Add guard token
+        if (this.tokenDocument) {
+            await combat.createEmbeddedDocuments('Combatant', [{
+                tokenId: this.tokenId,
+                sceneId: this.sceneId
+            }])
         }
+
+        // Add detected token
+        await combat.createEmbeddedDocuments('Combatant', [{
+            tokenId: token.id,
+            sceneId: this.sceneId
+        }])
+
+        // Start combat
+        await combat.startCombat()
     }
 
     /**
-     * Select highest priority active waypoint
-     * @returns {number}
+     * Execute detection macro
+     * @param {Token} token
      */
-    _selectPriorityWaypoint() {
-        const waypoints = this.waypoints
-        let maxPriority = -Infinity
-        let maxIndex = 0
+    async _executeMacro(token) {
+        if (!this.detectionMacro) return
 
-        waypoints.forEach((w, i) => {
-            if (!w.disabled && w.priority > maxPriority) {
-                maxPriority = w.priority
-                maxIndex = i
-            }
-        })
+        const macro = game.macros.get(this.detectionMacro)
+        if (!macro) {
+            warn(`Detection macro not found: ${this.detectionMacro}`)
+            return
+        }
 
-        return maxIndex
+        // Execute with context
+        await macro.execute({
+            patrol: this,
+            guardToken: this.token,
+            detectedToken: token,
+            waypoint: this.currentWaypoint
+        })
     }
 
     // ==========================================
-    // Token Control
+    // Pursuit
     // ==========================================
 
     /**
-     * Find a valid position near the waypoint that doesn't collide with walls
-     * @param {number} targetX - Target X coordinate (center)
-     * @param {number} targetY - Target Y coordinate (center)
-     * @param {number} tokenWidth - Token width in pixels
-     * @param {number} tokenHeight - Token height in pixels
-     * @returns {{x: number, y: number}} - Valid position (top-left corner)
+     * Start chasing a token, or refresh the target of a running chase
+     * @param {Token|Point} target - Token to chase or a fixed point to run to
      */
-    _findValidPosition(targetX, targetY, tokenWidth, tokenHeight) {
-        const offsetX = tokenWidth / 2
-        const offsetY = tokenHeight / 2
-        
-        // Base position (top-left corner from center)
-        let bestX = targetX - offsetX
-        let bestY = targetY - offsetY
-        
-        // Check if we have wall collision detection available
-        if (!canvas.walls?.checkCollision) {
-            return { x: bestX, y: bestY }
+    async setPursuitTarget(target) {
+        if (!target || this.disabled || !isPrimaryGM()) return
+
+        const isToken = !!target.document
+        const lastKnown = isToken
+            ? { x: target.center.x, y: target.center.y }
+            : { x: target.x, y: target.y }
+
+        if (this.isPursuing && this._pursuit) {
+            if (isToken) this._pursuit.tokenId = target.id
+            this._pursuit.lastKnown = lastKnown
+            return
         }
-        
-        // Test if the center point has collision
-        const origin = { x: targetX, y: targetY }
-        
-        // Check collision from center to slightly offset positions
-        // If there's a wall at the exact position, try nearby positions
-        const gridSize = canvas.grid.size
-        const searchOffsets = [
-            { dx: 0, dy: 0 },           // Original position
-            { dx: gridSize, dy: 0 },    // Right
-            { dx: -gridSize, dy: 0 },   // Left
-            { dx: 0, dy: gridSize },    // Down
-            { dx: 0, dy: -gridSize },   // Up
-            { dx: gridSize, dy: gridSize },    // Diagonal
-            { dx: -gridSize, dy: gridSize },
-            { dx: gridSize, dy: -gridSize },
-            { dx: -gridSize, dy: -gridSize },
-            { dx: gridSize * 2, dy: 0 },  // Further out
-            { dx: -gridSize * 2, dy: 0 },
-            { dx: 0, dy: gridSize * 2 },
-            { dx: 0, dy: -gridSize * 2 }
-        ]
-        
-        for (const offset of searchOffsets) {
-            const testX = targetX + offset.dx
-            const testY = targetY + offset.dy
-            
-            // Check collision using ray from a point slightly away
-            const testOrigin = { x: testX - 1, y: testY - 1 }
-            const testDest = { x: testX + 1, y: testY + 1 }
-            
-            try {
-                const hasCollision = canvas.walls.checkCollision(
-                    new Ray(testOrigin, testDest),
-                    { type: 'move', mode: 'any' }
-                )
-                
-                if (!hasCollision) {
-                    return { 
-                        x: testX - offsetX, 
-                        y: testY - offsetY 
-                    }
-                }
-            } catch (e) {
-                // If collision check fails, just use this position
-                return { 
-                    x: testX - offsetX, 
-                    y: testY - offsetY 
+
+        const guard = this.token
+        if (!guard) return
+
+        debug(`${this.name} pursuing ${isToken ? target.name : `(${lastKnown.x}, ${lastKnown.y})`}`)
+
+        this._clearTimers()
+        this.raiseAlert(ALERT_STATES.ALERT, { reason: 'pursuit', target: isToken ? target : null })
+        this._pursuit = {
+            tokenId: isToken ? target.id : null,
+            lastKnown,
+            lostSight: false,
+            startedAt: Date.now(),
+            origin: { x: guard.center.x, y: guard.center.y }
+        }
+        this.state = PATROL_STATES.PURSUING
+
+        this._emitUpdate()
+        Hooks.callAll('rnkPatrol.pursuitStarted', this, target)
+
+        this._runPursuit()
+    }
+
+    /**
+     * Pursuit loop - step toward the target until caught up, lost or out of bounds
+     */
+    async _runPursuit() {
+        try {
+            while (this.isPursuing && this._pursuit) {
+                if (!this.token) break
+
+                const pursuit = this._pursuit
+                const target = pursuit.tokenId ? canvas.tokens.get(pursuit.tokenId) : null
+
+                // Re-target the last place we actually saw them
+                if (target && this._canSeeToken(target)) {
+                    pursuit.lastKnown = { x: target.center.x, y: target.center.y }
+                    pursuit.lostSight = false
+                } else {
+                    pursuit.lostSight = true
                 }
+
+                if (this._shouldAbandonPursuit()) break
+
+                const keepGoing = this.mode === PATROL_MODES.BLINK
+                    ? await this._pursueByBlink()
+                    : await this._pursueOnFoot()
+
+                if (!keepGoing) break
+            }
+
+            if (this.isPursuing) {
+                await this._returnToRoute()
             }
+        } catch (err) {
+            error('Error during pursuit:', err)
         }
-        
-        // If all positions have collision, use original
-        return { x: bestX, y: bestY }
     }
 
     /**
-     * Move token to waypoint position
-     * @param {Waypoint} waypoint
-     * @param {boolean} visible
+     * Walk one step toward the last known target position
+     * @returns {Promise<boolean>} False when there is nowhere left to go
      */
-    async _moveTokenToWaypoint(waypoint, visible = true) {
-        const tokenDoc = this.tokenDocument
-        if (!tokenDoc) return
-
-        // Calculate token dimensions
+    async _pursueOnFoot() {
         const token = this.token
-        const tokenWidth = token ? token.w : canvas.grid.size
-        const tokenHeight = token ? token.h : canvas.grid.size
+        const { lastKnown, lostSight } = this._pursuit
+        const gridSize = canvas.grid.size
+        const origin = { x: token.center.x, y: token.center.y }
 
-        // Find a valid position that doesn't collide with walls
-        const validPos = this._findValidPosition(
-            waypoint.x, 
-            waypoint.y, 
-            tokenWidth, 
-            tokenHeight
+        if (this._currentPhase !== 'visible') {
+            await this._showToken()
+            this._currentPhase = 'visible'
+        }
+
+        // Stop a square short of a visible target; walk onto the spot of a lost one
+        const stopShort = lostSight ? 0 : gridSize
+        const remaining = Math.hypot(lastKnown.x - origin.x, lastKnown.y - origin.y)
+        if (remaining <= stopShort + 1) {
+            if (lostSight) return false
+
+            Hooks.callAll('rnkPatrol.pursuitReached', this, canvas.tokens.get(this._pursuit.tokenId))
+            await this._wait(500)
+            return true
+        }
+
+        const path = Pathfinder.findPath(origin, lastKnown)
+        if (!path?.length) return false
+
+        // Advance at most two squares per step so the target is re-checked often
+        const next = path[0]
+        const segment = Math.hypot(next.x - origin.x, next.y - origin.y)
+        const travel = Math.min(
+            segment - (path.length === 1 ? stopShort : 0),
+            gridSize * Patrol.PURSUIT_STEP
         )
+        if (travel <= 1) return !lostSight
+
+        const ratio = travel / segment
+        const point = {
+            x: origin.x + (next.x - origin.x) * ratio,
+            y: origin.y + (next.y - origin.y) * ratio
+        }
+
+        await this.tokenDocument?.update({
+            x: point.x - (token.w / 2),
+            y: point.y - (token.h / 2)
+        }, this._movementOptions())
+        await this._syncSquad({ anchor: point, facing: this._headingBetween(origin, point), animate: true })
+        await this._awaitMovement(origin, point)
+
+        return true
+    }
+
+    /**
+     * Blink to the route waypoint nearest the last known target position
+     * @returns {Promise<boolean>} False when the nearest waypoint has been checked
+     */
+    async _pursueByBlink() {
+        const { lastKnown, lostSight } = this._pursuit
+        if (this.isAreaPatrol) return this._pursueInArea(lastKnown, lostSight)
+
+        const index = this._nearestWaypointIndex(lastKnown)
+        if (index < 0) return false
+
+        if (index === this.currentWaypointIndex && this.isTokenVisible) {
+            if (lostSight) return false
+
+            // Already as close as the route allows - keep watching
+            await this._wait(this.effectiveAppearDuration * 1000)
+            return true
+        }
+
+        if (this.isTokenVisible) {
+            await this._phaseDisappear()
+        }
+        if (!this.isPursuing) return false
+
+        this.currentWaypointIndex = index
+        await this._phaseAppear()
+        this._currentPhase = 'visible'
+
+        await this._wait(Math.min(this.effectiveAppearDuration, 1) * 1000)
+        return true
+    }
+
+    /**
+     * Give up the chase and head back to the route
+     */
+    async _returnToRoute() {
+        debug(`${this.name} gave up pursuit, returning to route`)
+
+        // Forget the target, so a guard that gave up while still seeing it
+        // spots it afresh on the next pass
+        const targetId = this._pursuit?.tokenId
+        if (targetId) {
+            this._detectedTokens.delete(targetId)
+            this._lastSeen.delete(targetId)
+        }
+
+        this.state = PATROL_STATES.RETURNING
+        this._pursuit = null
+        this._clearTimers()
+        this.setAlertState(ALERT_STATES.SEARCHING, { reason: 'lostTarget' })
+        Hooks.callAll('rnkPatrol.pursuitEnded', this)
+
+        await this._rejoinRoute()
+    }
+
+    /**
+     * Walk (or blink) back to the nearest route waypoint and restart the
+     * patrol loop. The caller sets the RETURNING state first
+     */
+    async _rejoinRoute() {
+        const token = this.token
+        if (token) {
+            if (this.mode === PATROL_MODES.BLINK) {
+                // The blink cycle reappears at the current waypoint
+                if (this.isTokenVisible) await this._phaseDisappear()
+                this._currentPhase = 'invisible'
+            } else {
+                const index = this._nearestWaypointIndex(token.center)
+                if (index >= 0) this.currentWaypointIndex = index
+
+                const waypoint = this.currentWaypoint
+                if (waypoint && !(await this._walkTo({ x: waypoint.x, y: waypoint.y }))) {
+                    await this._blinkToWaypoint(waypoint)
+                }
+            }
+        }
 
-        await tokenDoc.update({
-            x: validPos.x,
-            y: validPos.y,
-            hidden: !visible
-        }, { animate: false })
+        // Stopped or re-engaged while walking back
+        if (this.state !== PATROL_STATES.RETURNING) return
+
+        this.state = PATROL_STATES.ACTIVE
+        this._emitUpdate()
+
+        await this._startPatrolLoop()
     }
 
     /**
-     * Show the token
+     * Check the give-up conditions for the current pursuit
+     * @returns {boolean}
      */
-    async _showToken() {
-        const tokenDoc = this.tokenDocument
-        if (!tokenDoc) return
+    _shouldAbandonPursuit() {
+        const pursuit = this._pursuit
+        if (!pursuit) return true
+
+        const elapsed = (Date.now() - pursuit.startedAt) / 1000
+        if (this.pursuitMaxDuration > 0 && elapsed > this.pursuitMaxDuration) {
+            debug(`${this.name} pursuit timed out after ${Math.round(elapsed)}s`)
+            return true
+        }
 
-        await tokenDoc.update({ hidden: false }, { animate: false })
+        // Blink guards never leave their waypoints, so measure how far the target led them
+        const position = this.mode === PATROL_MODES.BLINK ? pursuit.lastKnown : this.token?.center
+        if (this.pursuitMaxDistance > 0 && position) {
+            const distance = Math.hypot(position.x - pursuit.origin.x, position.y - pursuit.origin.y)
+            if (distance > this.pursuitMaxDistance * canvas.grid.size) {
+                debug(`${this.name} pursuit exceeded ${this.pursuitMaxDistance} grid units`)
+                return true
+            }
+        }
 
-        // Emit for visual sync
-        emitSocket('tokenAppear', {
-            tokenId: this.tokenId,
-            x: tokenDoc.x,
-            y: tokenDoc.y
-        })
+        return false
     }
 
     /**
-     * Hide the token
+     * Check whether the guard can currently see a token
+     * @param {Token} target
+     * @returns {boolean}
      */
-    async _hideToken() {
-        const tokenDoc = this.tokenDocument
-        if (!tokenDoc) return
+    _canSeeToken(target) {
+        const guard = this.token
+        if (!guard || !target || target.document.hidden) return false
 
-        await tokenDoc.update({ hidden: true }, { animate: false })
+        const range = Math.max(
+            this.currentWaypoint?.detectionRange ?? 0,
+            getSetting('defaultDetectionRange', 5)
+        ) * canvas.grid.size
 
-        // Emit for visual sync
-        emitSocket('tokenDisappear', {
-            tokenId: this.tokenId,
-            x: tokenDoc.x,
-            y: tokenDoc.y
-        })
+        const distance = Math.hypot(target.center.x - guard.center.x, target.center.y - guard.center.y)
+        if (distance > range) return false
+
+        return GuardVision.canSee(guard, guard.center, target, range, { lineOfSight: true })
     }
 
     /**
-     * Update token rotation
-     * @param {number} degrees
+     * Index of the enabled route waypoint closest to a point
+     * @param {Point} point
+     * @returns {number} -1 if the route has no usable waypoints
      */
-    async _updateTokenRotation(degrees) {
-        const tokenDoc = this.tokenDocument
-        if (!tokenDoc) return
+    _nearestWaypointIndex(point) {
+        let best = -1
+        let bestDistance = Infinity
+
+        this.waypointIds.forEach((id, i) => {
+            const waypoint = this.getWaypoint(id)
+            if (!waypoint || waypoint.disabled) return
+
+            const distance = Math.hypot(waypoint.x - point.x, waypoint.y - point.y)
+            if (distance < bestDistance) {
+                bestDistance = distance
+                best = i
+            }
+        })
 
-        await tokenDoc.update({ rotation: degrees }, { animate: false })
+        return best
     }
 
     // ==========================================
-    // Detection
+    // Investigation
     // ==========================================
 
     /**
-     * Run detection check
+     * Go to where a target was last seen and look around nearby waypoints.
+     * Seeing the target again is handled as a fresh detection; otherwise
+     * the guard stands down and rejoins its route
+     * @param {Point} point - Last known position
+     * @param {Object} options
+     * @param {string|null} options.tokenId - Token being looked for
+     * @param {string} options.reason - Passed on to the alert transition
+     * @returns {Promise<boolean>} Whether the target was found again
      */
-    _runDetection() {
-        const waypoint = this.currentWaypoint
-        if (!waypoint) return
+    async investigate(point, { tokenId = null, reason = 'lostTarget' } = {}) {
+        if (!isPrimaryGM() || !this.isActive || !this.token) return false
 
-        const detectedTokens = waypoint.detectPlayerTokens()
+        debug(`${this.name} investigating (${Math.round(point.x)}, ${Math.round(point.y)})`)
 
-        for (const token of detectedTokens) {
-            if (!this._detectedTokens.has(token.id)) {
-                this._detectedTokens.add(token.id)
-                this._handleDetection(token)
+        this._clearTimers()
+        this.state = PATROL_STATES.INVESTIGATING
+        this._investigation = { point, tokenId, startedAt: Date.now() }
+
+        // A guard that already saw the intruder searches rather than investigates
+        const target = tokenId ? canvas.tokens.get(tokenId) ?? null : null
+        if (this.alertLevel > Patrol.ALERT_LEVELS[ALERT_STATES.INVESTIGATING]) {
+            this.setAlertState(ALERT_STATES.SEARCHING, { reason, target })
+        } else {
+            this.raiseAlert(ALERT_STATES.INVESTIGATING, { reason, target })
+        }
+
+        this._showInvestigationMarker(point)
+        this._emitUpdate()
+        Hooks.callAll('rnkPatrol.investigationStarted', this, point, tokenId)
+
+        let found = null
+        try {
+            for (const stop of this._getInvestigationStops(point)) {
+                await this._investigateStop(stop)
+                if (!this.isInvestigating) break
+
+                found = target && this._canSeeToken(target) ? target : null
+                if (found) break
             }
+        } catch (err) {
+            error('Error during investigation:', err)
         }
 
-        // Clear tokens that are no longer detected
-        const currentIds = new Set(detectedTokens.map(t => t.id))
-        for (const id of this._detectedTokens) {
-            if (!currentIds.has(id)) {
-                this._detectedTokens.delete(id)
+        // Stopped, or pulled into something else part way
+        const interrupted = !this.isInvestigating
+        this._investigation = null
+        this._removeInvestigationMarker()
+        Hooks.callAll('rnkPatrol.investigationEnded', this, !!found)
+        if (interrupted) return !!found
+
+        // Callers start investigations without waiting on them, so nothing
+        // may be left to reject
+        try {
+            if (found) {
+                this._detectedTokens.add(found.id)
+                this._lastSeen.set(found.id, { x: found.center.x, y: found.center.y })
+                await this._handleDetection(found)
+
+                // The detection action took over (pursuit, combat...)
+                if (!this.isInvestigating) return true
+            } else {
+                this.setAlertState(ALERT_STATES.IDLE, { reason: 'allClear' })
             }
+
+            this.state = PATROL_STATES.RETURNING
+            this._emitUpdate()
+            await this._rejoinRoute()
+        } catch (err) {
+            error('Error ending investigation:', err)
         }
+
+        return !!found
     }
 
     /**
-     * Handle token detection
-     * @param {Token} token
+     * Places to check, nearest first: the last known position itself
+     * (waypoints stand in for it on blink routes), then nearby waypoints
+     * @param {Point} point
+     * @returns {Array<{point: Point, index: number|null}>}
      */
-    async _handleDetection(token) {
-        debug(`Detection! ${this.name} spotted ${token.name}`)
+    _getInvestigationStops(point) {
+        const stops = []
+
+        if (this.isAreaPatrol) {
+            const polygons = this.areaPolygons
+            if (AreaSampler.contains(polygons, point)) stops.push({ point, index: null })
+
+            // Random spots a few squares around it
+            const radius = canvas.grid.size * 3
+            const around = [new PIXI.Rectangle(point.x - radius, point.y - radius, radius * 2, radius * 2).toPolygon()]
+            for (let i = 0; i < this.investigateCycles; i++) {
+                const nearby = AreaSampler.samplePoint(around, {
+                    previous: stops.at(-1)?.point ?? null,
+                    minSpacing: canvas.grid.size,
+                    isReachable: p => AreaSampler.contains(polygons, p)
+                })
+                if (nearby) stops.push({ point: nearby, index: null })
+            }
+            return stops
+        }
 
-        // Increase alert level
-        this.alertLevel++
+        const walker = this.mode !== PATROL_MODES.BLINK
+        if (walker) stops.push({ point, index: null })
 
-        // Execute detection action
-        switch (this.detectionAction) {
-            case 'notify':
-                ui.notifications.warn(
-                    game.i18n.format(`${MODULE_ID}.notifications.detected`, {
-                        patrol: this.name,
-                        token: token.name
-                    })
-                )
-                break
+        const nearest = this.waypointIds
+            .map((id, index) => ({ waypoint: this.getWaypoint(id), index }))
+            .filter(({ waypoint }) => waypoint && !waypoint.disabled)
+            .sort((a, b) => Math.hypot(a.waypoint.x - point.x, a.waypoint.y - point.y)
+                - Math.hypot(b.waypoint.x - point.x, b.waypoint.y - point.y))
+            .slice(0, this.investigateCycles + (walker ? 0 : 1))
 
-            case 'alert':
-                this.state = PATROL_STATES.ALERT
-                // Could trigger faster patrol, change pattern, etc.
-                break
+        for (const { waypoint, index } of nearest) {
+            stops.push({ point: { x: waypoint.x, y: waypoint.y }, index })
+        }
 
-            case 'combat':
-                await this._initiateCombat(token)
-                break
+        return stops
+    }
 
-            case 'macro':
-                await this._executeMacro(token)
-                break
+    /**
+     * Move to one investigation stop and look around for a moment
+     * @param {{point: Point, index: number|null}} stop
+     */
+    async _investigateStop(stop) {
+        const blink = this.mode === PATROL_MODES.BLINK
+
+        if (blink) {
+            if (this.isTokenVisible) await this._phaseDisappear()
+            if (!this.isInvestigating) return
+
+            if (stop.index === null) {
+                const roam = this._getRoamWaypoint()
+                roam.x = stop.point.x
+                roam.y = stop.point.y
+            } else {
+                this.currentWaypointIndex = stop.index
+            }
+
+            await this._phaseAppear()
+            this._currentPhase = 'visible'
+        } else {
+            if (this._currentPhase !== 'visible') {
+                await this._showToken()
+                this._currentPhase = 'visible'
+            }
+
+            if (stop.index !== null) this.currentWaypointIndex = stop.index
+            const reached = await this._walkTo(stop.point)
+            if (!reached && stop.index !== null) await this._blinkToWaypoint(this.currentWaypoint)
         }
+        if (!this.isInvestigating) return
 
-        // Emit alert
-        emitSocket('alertTriggered', {
-            patrolId: this.id,
-            patrolName: this.name,
-            tokenId: token.id,
-            tokenName: token.name,
-            alertLevel: this.alertLevel
-        })
+        const waypoint = stop.index !== null ? this.currentWaypoint : null
+        this._startSweep(waypoint)
+        await this._wait(this.effectiveAppearDuration * 1000)
+        this._stopSweep()
+    }
 
-        this._promptPlayerInteraction(token)
+    /**
+     * Mark the spot being investigated on the GM's map
+     * @param {Point} point
+     */
+    _showInvestigationMarker(point) {
+        this._removeInvestigationMarker()
+        if (!game.user.isGM || !canvas.ready || !getSetting('showInvestigationMarker', true)) return
+
+        const size = canvas.grid.size
+        const color = PIXI.Color.shared.setValue(this.color || '#ff9800').toNumber()
+
+        const marker = new PIXI.Container()
+        marker.eventMode = 'none'
+        marker.position.set(point.x, point.y)
+
+        const ring = new PIXI.Graphics()
+        ring.lineStyle(3, color, 0.9)
+        ring.beginFill(color, 0.15)
+        ring.drawCircle(0, 0, size * 0.4)
+        ring.endFill()
+        marker.addChild(ring)
+
+        const label = new PIXI.Text('?', {
+            fontFamily: 'Signika',
+            fontSize: size * 0.4,
+            fill: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 4
+        })
+        label.anchor.set(0.5)
+        marker.addChild(label)
 
-        Hooks.callAll('rnkPatrol.detection', this, token)
+        canvas.controls.addChild(marker)
+        this._investigationMarker = marker
     }
 
     /**
-     * Prompt the player owner(s) of the detected token with an interaction dialog
-     * @param {Token} token
+     * Remove the investigation marker
      */
-    _promptPlayerInteraction(token) {
-        if (!game.user.isGM) return
-        if (!token.actor) return
+    _removeInvestigationMarker() {
+        if (this._investigationMarker) {
+            this._investigationMarker.destroy({ children: true })
+            this._investigationMarker = null
+        }
+    }
 
-        const ownerUsers = this._getPlayerOwnersForToken(token)
-        if (!ownerUsers.length) return
+    // ==========================================
+    // Alert Handling
+    // ==========================================
 
-        for (const owner of ownerUsers) {
-            emitSocket('openInteractionWindow', {
-                targetUserId: owner.id,
-                patrolId: this.id,
-                patrolName: this.name,
-                tokenId: token.id,
-                tokenName: token.name,
-                alertLevel: this.alertLevel
-            })
+    /**
+     * Move to an alert state and restart its decay timer. Setting the
+     * current state again only restarts the timer
+     * @param {string} alertState - One of ALERT_STATES
+     * @param {Object} options
+     * @param {string} options.reason - Why the state changed, passed to the hook
+     * @param {Token} options.target - Token that caused the change, if any
+     */
+    setAlertState(alertState, { reason = 'manual', target = null } = {}) {
+        if (Patrol.ALERT_LEVELS[alertState] === undefined) return
+
+        this._scheduleAlertDecay(alertState)
+        if (this.alertState === alertState) return
+
+        const previous = this.alertState
+        const transition = {
+            from: previous,
+            to: alertState,
+            level: Patrol.ALERT_LEVELS[alertState],
+            previousLevel: this.alertLevel,
+            reason,
+            target
         }
+
+        this.alertState = alertState
+        this.alertLevel = transition.level
+        this._emitUpdate()
+
+        debug(`${this.name} alert: ${previous} -> ${alertState} (${reason})`)
+
+        Hooks.callAll('rnkPatrol.alertStateChanged', this, alertState, previous, transition)
+        Hooks.callAll(`rnkPatrol.alert.${alertState}`, this, transition)
     }
 
     /**
-     * Get all non-GM owners for the token
-     * @param {Token} token
-     * @returns {User[]}
+     * Escalate to an alert state, never lowering the current level
+     * @param {string} alertState - One of ALERT_STATES
+     * @param {Object} options - See setAlertState
+     * @returns {boolean} Whether the state was set
      */
-    _getPlayerOwnersForToken(token) {
-        const actor = token.actor
-        if (!actor) return []
+    raiseAlert(alertState, options = {}) {
+        const level = Patrol.ALERT_LEVELS[alertState]
+        if (level === undefined || level < this.alertLevel) return false
+        if (level === this.alertLevel && alertState !== this.alertState) return false
 
-        return game.users.filter(user => {
-            if (user.isGM) return false
-            // Use string permission level for V13 compatibility
-            return actor.testUserPermission(user, "OWNER")
-        })
+        this.setAlertState(alertState, options)
+        return true
     }
 
     /**
-     * Initiate combat with detected token
-     * @param {Token} token
+     * Start the timer that decays the given alert state
+     * @param {string} alertState
      */
-    async _initiateCombat(token) {
-        const combat = game.combat || await Combat.create({ scene: this.sceneId })
+    _scheduleAlertDecay(alertState) {
+        this._clearAlertDecay()
 
-        // Add guard token
-        if (this.tokenDocument) {
-            await combat.createEmbeddedDocuments('Combatant', [{
-                tokenId: this.tokenId,
-                sceneId: this.sceneId
-            }])
-        }
+        const next = Patrol.ALERT_DECAY[alertState]
+        const seconds = Number(this.alertTimeouts[alertState]) || 0
+        if (!next || seconds <= 0 || !isPrimaryGM()) return
 
-        // Add detected token
-        await combat.createEmbeddedDocuments('Combatant', [{
-            tokenId: token.id,
-            sceneId: this.sceneId
-        }])
+        this._alertTimeout = setTimeout(() => {
+            this._alertTimeout = null
 
-        // Start combat
-        await combat.startCombat()
+            // Still chasing or looking for someone - stay alert
+            if (this._pursuit || this._investigation) {
+                this._scheduleAlertDecay(this.alertState)
+                return
+            }
+
+            this.setAlertState(next, { reason: 'decay' })
+        }, seconds * 1000)
     }
 
     /**
-     * Execute detection macro
-     * @param {Token} token
+     * Cancel a pending alert decay
      */
-    async _executeMacro(token) {
-        if (!this.detectionMacro) return
-
-        const macro = game.macros.get(this.detectionMacro)
-        if (!macro) {
-            warn(`Detection macro not found: ${this.detectionMacro}`)
-            return
+    _clearAlertDecay() {
+        if (this._alertTimeout) {
+            clearTimeout(this._alertTimeout)
+            this._alertTimeout = null
         }
-
-        // Execute with context
-        await macro.execute({
-            patrol: this,
-            guardToken: this.token,
-            detectedToken: token,
-            waypoint: this.currentWaypoint
-        })
     }
 
-    // ==========================================
-    // Alert Handling
-    // ==========================================
+    /**
+     * Run the decay chain for time that passed without a live timer, such
+     * as an off-screen stretch. Stops at states that hold (timeout 0)
+     * @param {number} seconds
+     */
+    settleAlert(seconds) {
+        let remaining = seconds
+
+        while (this.alertState !== ALERT_STATES.IDLE) {
+            const timeout = Number(this.alertTimeouts[this.alertState]) || 0
+            const next = Patrol.ALERT_DECAY[this.alertState]
+            if (!next || timeout <= 0 || remaining < timeout) break
+
+            remaining -= timeout
+            this.setAlertState(next, { reason: 'offscreen' })
+        }
+    }
 
     /**
      * Handle alert from remote
      * @param {Object} data
      */
     async handleAlert(data) {
-        this.alertLevel = data.alertLevel
+        this.raiseAlert(data.alertState ?? ALERT_STATES.ALERT, { reason: 'remote' })
 
         if (this.state !== PATROL_STATES.ALERT) {
             this.state = PATROL_STATES.ALERT
@@ -1297,12 +3587,63 @@ export class Patrol {
      * Reset alert level
      */
     resetAlert() {
-        this.alertLevel = 0
+        this.setAlertState(ALERT_STATES.IDLE, { reason: 'reset' })
         if (this.state === PATROL_STATES.ALERT) {
             this.state = PATROL_STATES.ACTIVE
         }
     }
 
+    // ==========================================
+    // Combat Time
+    // ==========================================
+
+    /**
+     * Wait at a waypoint: real time normally, one combat step on combat time
+     * @param {number} ms
+     * @returns {Promise}
+     */
+    async _dwell(ms) {
+        if (this.isInCombatTime) {
+            await this._awaitCombatStep()
+            return
+        }
+        await this._wait(ms)
+    }
+
+    /**
+     * Wait until the combat advances (or ends)
+     * @returns {Promise}
+     */
+    _awaitCombatStep() {
+        return new Promise(resolve => {
+            this._combatStepResolver = resolve
+        })
+    }
+
+    /**
+     * Let the patrol take its next combat-time step. Also called when
+     * combat ends so a waiting guard returns to real time
+     */
+    advanceCombatStep() {
+        const resolve = this._combatStepResolver
+        this._combatStepResolver = null
+        resolve?.()
+    }
+
+    /**
+     * Pixels a walking guard may cover in one combat step
+     * @returns {number}
+     */
+    _getCombatMoveDistance() {
+        const gridSize = canvas.grid.size
+        const actor = this.tokenDocument?.actor
+        const speed = actor ? getAdapter(game.system.id).getActorSpeed?.(actor) : null
+        const gridDistance = this.scene?.grid?.distance || canvas.dimensions.distance
+
+        if (speed && gridDistance) return (speed / gridDistance) * gridSize
+        return Patrol.COMBAT_MOVE_SPACES * gridSize
+    }
+
     // ==========================================
     // Utility Methods
     // ==========================================
@@ -1322,28 +3663,72 @@ export class Patrol {
     }
 
     /**
-     * Wait for duration
+     * Wait for duration, scaled by the world time scale and suspended
+     * while the game is paused
      * @param {number} ms
      * @returns {Promise}
      */
     _wait(ms) {
         return new Promise(resolve => {
-            this._phaseTimeout = setTimeout(resolve, ms)
+            this._timer = {
+                resolve,
+                remaining: ms / this.timeScale,
+                startedAt: 0
+            }
+            if (!game.paused) this._startTimer()
         })
     }
 
+    /**
+     * Start (or restart) the countdown of the pending wait
+     */
+    _startTimer() {
+        const timer = this._timer
+        if (!timer || this._phaseTimeout) return
+
+        timer.startedAt = Date.now()
+        this._phaseTimeout = setTimeout(() => {
+            this._phaseTimeout = null
+            this._timer = null
+            timer.resolve()
+        }, timer.remaining)
+    }
+
+    /**
+     * Freeze the pending wait, keeping the time it has left
+     */
+    suspendTimers() {
+        const timer = this._timer
+        if (!timer || !this._phaseTimeout) return
+
+        clearTimeout(this._phaseTimeout)
+        this._phaseTimeout = null
+        timer.remaining = Math.max(0, timer.remaining - (Date.now() - timer.startedAt))
+    }
+
+    /**
+     * Continue a wait frozen by suspendTimers
+     */
+    resumeTimers() {
+        this._startTimer()
+    }
+
     /**
      * Clear all timers
      */
     _clearTimers() {
+        this._stopSweep()
         if (this._loopInterval) {
             clearInterval(this._loopInterval)
             this._loopInterval = null
         }
+        detectionScheduler.cancel(this)
         if (this._phaseTimeout) {
             clearTimeout(this._phaseTimeout)
             this._phaseTimeout = null
         }
+        this._timer = null
+        this._combatStepResolver = null
     }
 
     /**
@@ -1355,6 +3740,7 @@ export class Patrol {
             state: this.state,
             currentWaypointIndex: this.currentWaypointIndex,
             alertLevel: this.alertLevel,
+            alertState: this.alertState,
             phase: this._currentPhase
         })
     }
@@ -1367,6 +3753,7 @@ export class Patrol {
         this.state = data.state
         this.currentWaypointIndex = data.currentWaypointIndex
         this.alertLevel = data.alertLevel
+        this.alertState = data.alertState ?? this.alertState
         this._currentPhase = data.phase
     }
 
@@ -1387,7 +3774,11 @@ export class Patrol {
             state: this.state,
             mode: this.mode,
             blinkPattern: this.blinkPattern,
+            segmentModes: this.segmentModes,
+            routeGraph: this.routeGraph?.toJSON() ?? null,
             waypointIds: this.waypointIds,
+            sceneRoutes: this.sceneRoutes,
+            arrivedViaPortal: this._arrivedViaPortal,
             currentWaypointIndex: this.currentWaypointIndex,
             appearDuration: this.appearDuration,
             disappearDuration: this.disappearDuration,
@@ -1401,11 +3792,23 @@ export class Patrol {
             notes: this.notes,
             disabled: this.disabled,
             alertLevel: this.alertLevel,
+            alertState: this.alertState,
+            alertTimeouts: this.alertTimeouts,
             guardActorId: this.guardActorId,
+            memberTokenIds: this.memberTokenIds,
+            formation: this.formation,
+            formationSpacing: this.formationSpacing,
             automateCombat: this.automateCombat,
             automateDecisions: this.automateDecisions,
             automateRequireApproval: this.automateRequireApproval,
-            aggressiveness: this.aggressiveness
+            aggressiveness: this.aggressiveness,
+            pursuitMaxDuration: this.pursuitMaxDuration,
+            pursuitMaxDistance: this.pursuitMaxDistance,
+            investigateCycles: this.investigateCycles,
+            faction: this.faction,
+            clearances: this.clearances,
+            schedule: this.schedule,
+            area: this.area
         }
     }
 
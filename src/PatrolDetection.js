@@ -4,8 +4,28 @@
  */
 
 import { MODULE_ID, ALERT_STATES } from './main.js';
+import { detectionScheduler } from './DetectionScheduler.js';
 
 export class PatrolDetection {
+    /**
+     * Most line of sight results kept before the cache starts over
+     * @type {number}
+     */
+    static LOS_CACHE_LIMIT = 5000;
+
+    /**
+     * Line of sight results by rounded end points. A token that moves asks
+     * about new points, so only wall changes clear the cache
+     * @type {Map<string, boolean>}
+     */
+    static _losCache = new Map();
+
+    /**
+     * Line of sight cache hits and misses, for the detection overlay
+     * @type {{hits: number, misses: number}}
+     */
+    static losStats = { hits: 0, misses: 0 };
+
     /**
      * Check for detected tokens within range of a patrol token
      * @param {Token} patrolToken - The patrol token doing the detecting
@@ -33,8 +53,8 @@ export class PatrolDetection {
             y: patrolToken.center.y
         };
 
-        // Check all tokens on the scene
-        for (const token of canvas.tokens.placeables) {
+        // Check the tokens near the patrol token
+        for (const token of detectionScheduler.getTokensNear(patrolCenter, detectionDistance)) {
             // Skip self
             if (token.id === patrolToken.id) continue;
 
@@ -98,15 +118,33 @@ export class PatrolDetection {
         // Use Foundry's built-in wall collision detection
         if (!canvas.walls) return true;
 
+        const key = `${Math.round(origin.x)},${Math.round(origin.y)}:${Math.round(target.x)},${Math.round(target.y)}`;
+        const cached = this._losCache.get(key);
+        if (cached !== undefined) {
+            this.losStats.hits++;
+            return cached;
+        }
+        this.losStats.misses++;
+
         const ray = new Ray(origin, target);
         const collisions = canvas.walls.checkCollision(ray, { 
             type: 'sight', 
             mode: 'any' 
         });
 
+        if (this._losCache.size >= this.LOS_CACHE_LIMIT) this._losCache.clear();
+        this._losCache.set(key, !collisions);
         return !collisions;
     }
 
+    /**
+     * Forget cached line of sight results, after walls or doors change
+     */
+    static clearLineOfSightCache() {
+        this._losCache.clear();
+        this.losStats = { hits: 0, misses: 0 };
+    }
+
     /**
      * Get detection action handler
      * @param {string} action - The action type
@@ -131,8 +169,8 @@ export class PatrolDetection {
      * @param {Object} options - Additional options
      */
     static async _handleAlert(patrol, detectedTokens, options = {}) {
-        // Set patrol to alert state
-        patrol.setAlertState(ALERT_STATES.ALERT);
+        // Raise the patrol to alert (a guard already in combat stays there)
+        patrol.raiseAlert(ALERT_STATES.ALERT, { reason: 'detection', target: detectedTokens[0] });
 
         // Fire hook for other modules
         Hooks.callAll(`${MODULE_ID}.alert`, patrol, detectedTokens);
@@ -163,7 +201,7 @@ export class PatrolDetection {
      */
     static async _handlePause(patrol, detectedTokens, options = {}) {
         patrol.pause();
-        patrol.setAlertState(ALERT_STATES.INVESTIGATING);
+        patrol.raiseAlert(ALERT_STATES.INVESTIGATING, { reason: 'detection', target: detectedTokens[0] });
 
         if (game.user.isGM) {
             ui.notifications.info(
@@ -184,7 +222,7 @@ export class PatrolDetection {
     static async _handlePursue(patrol, detectedTokens, options = {}) {
         if (!detectedTokens.length) return;
 
-        patrol.setAlertState(ALERT_STATES.COMBAT);
+        patrol.raiseAlert(ALERT_STATES.ALERT, { reason: 'pursuit', target: detectedTokens[0] });
 
         // Get the patrol token
         const patrolToken = patrol.getToken();
@@ -205,12 +243,8 @@ export class PatrolDetection {
             );
         }
 
-        // Move patrol token toward target (for walk/hybrid modes)
-        if (patrol.mode !== 'blink') {
-            const targetPos = { x: target.x, y: target.y };
-            // This would integrate with the patrol's movement system
-            patrol.setPursuitTarget(targetPos);
-        }
+        // Walkers chase on foot, blink patrols hop to the waypoint nearest the target
+        await patrol.setPursuitTarget(target);
     }
 
     /**
@@ -7,10 +7,12 @@
  * @module PatrolManager
  */
 
-import { MODULE_ID, debug, warn, error, isPrimaryGM } from './main.js'
+import { MODULE_ID, ALERT_STATES, debug, warn, error, isPrimaryGM } from './main.js'
 import { getSetting } from './settings.js'
 import { Patrol } from './Patrol.js'
 import { Waypoint } from './Waypoint.js'
+import { patrolSimulator } from './PatrolSimulator.js'
+import { bodySystem } from './BodySystem.js'
 
 /**
  * PatrolManager - manages all patrols in the scene
@@ -41,6 +43,12 @@ export class PatrolManager {
          * @type {number|null}
          */
         this._updateInterval = null
+        
+        /**
+         * Runtime state checkpoint interval
+         * @type {number|null}
+         */
+        this._checkpointInterval = null
     }
     
     // ==========================================
@@ -58,10 +66,23 @@ export class PatrolManager {
         // Load patrols for current scene
         if (canvas.ready) {
             await this.loadScenePatrols(canvas.scene.id)
+            
+            // State checkpointed before a reload; not awaited so a restore
+            // prompt doesn't hold up the rest of module startup
+            const savedState = isPrimaryGM() ? this.getSavedSceneState(canvas.scene.id) : null
+            if (savedState) this.promptRestoreState(savedState)
         }
         
         // Start update loop
         this._startUpdateLoop()
+        this._startCheckpointLoop()
+        
+        // Best-effort snapshot when the page closes or reloads
+        window.addEventListener('beforeunload', () => {
+            if (this._currentSceneId && this._patrols.size > 0) {
+                this.saveSceneState(this._currentSceneId)
+            }
+        })
         
         // Register hooks
         this._registerHooks()
@@ -86,10 +107,34 @@ export class PatrolManager {
         
         // Scene update - refresh waypoints
         Hooks.on('updateScene', (scene, changes) => {
-            if (scene.id === this._currentSceneId && changes.flags?.[MODULE_ID]) {
+            // Runtime checkpoints and sentries don't touch waypoints
+            const flagKeys = Object.keys(changes.flags?.[MODULE_ID] ?? {})
+                .filter(key => !['runtimeState', 'sentries'].includes(key.replace(/^-=/, '')))
+            if (scene.id === this._currentSceneId && flagKeys.length > 0) {
                 this._refreshWaypoints()
             }
         })
+        
+        // Combat time - step patrols on round/turn changes
+        Hooks.on('updateCombat', (combat, changes) => {
+            this._handleCombatAdvance(combat, changes)
+        })
+        
+        // Game pause - freeze patrol timers with their remaining time
+        Hooks.on('pauseGame', (paused) => {
+            for (const patrol of this._patrols.values()) {
+                if (paused) {
+                    patrol.suspendTimers()
+                } else {
+                    patrol.resumeTimers()
+                }
+            }
+        })
+        
+        // Combat over - release guards waiting on a step
+        Hooks.on('deleteCombat', (combat) => {
+            this._handleCombatEnd(combat)
+        })
     }
     
     /**
@@ -113,6 +158,28 @@ export class PatrolManager {
         }
     }
     
+    /**
+     * Start periodic runtime state checkpoints
+     */
+    _startCheckpointLoop() {
+        const seconds = getSetting('checkpointInterval', 30)
+        if (!seconds) return
+        
+        this._checkpointInterval = setInterval(() => {
+            this._checkpoint()
+        }, seconds * 1000)
+    }
+    
+    /**
+     * Save the current scene's runtime state while any patrol runs
+     */
+    _checkpoint() {
+        if (!isPrimaryGM() || !this._currentSceneId) return
+        
+        const running = [...this._patrols.values()].some(p => p.isActive || p.isPursuing || p.isInvestigating)
+        if (running) this.saveSceneState(this._currentSceneId)
+    }
+    
     /**
      * Main update tick
      */
@@ -204,10 +271,17 @@ export class PatrolManager {
         // Load and display waypoints
         this._refreshWaypoints()
         
-        // Auto-start patrols that were active
+        // Auto-start patrols that were active. Those in a saved snapshot
+        // wait, idle, for the snapshot to be restored (which restarts them)
         if (isPrimaryGM()) {
+            const snapshot = this.getSavedSceneState(sceneId)
+            const waiting = new Set(snapshot?.patrols?.map(p => p.id) ?? [])
             for (const patrol of this._patrols.values()) {
-                if (patrol.state === 'active' && !patrol.disabled) {
+                if (patrol.state !== 'active' || patrol.disabled) continue
+                
+                if (waiting.has(patrol.id)) {
+                    patrol.state = 'idle'
+                } else {
                     await patrol.start()
                 }
             }
@@ -216,6 +290,22 @@ export class PatrolManager {
         Hooks.callAll('rnkPatrol.patrolsLoaded', this, sceneId)
     }
     
+    /**
+     * Follow a patrol that moved to another scene through a portal
+     * @param {Patrol} patrol 
+     * @returns {boolean} True if the patrol is on the scene running here
+     */
+    handleSceneTransfer(patrol) {
+        if (patrol.sceneId === this._currentSceneId) {
+            this._patrols.set(patrol.id, patrol)
+            return true
+        }
+        
+        this._patrols.delete(patrol.id)
+        debug(`Patrol ${patrol.name} left for scene ${patrol.sceneId}`)
+        return false
+    }
+    
     /**
      * Refresh waypoint visualizations
      */
@@ -247,6 +337,7 @@ export class PatrolManager {
         
         const stateData = {
             timestamp: Date.now(),
+            worldTime: game.time.worldTime,
             sceneName: game.scenes.get(sceneId)?.name || sceneId,
             patrols: []
         }
@@ -254,48 +345,115 @@ export class PatrolManager {
         // Capture each patrol's runtime state
         for (const patrol of this._patrols.values()) {
             if (patrol.sceneId !== sceneId) continue
-            
-            const token = patrol.token
-            const patrolState = {
-                id: patrol.id,
-                name: patrol.name,
-                wasActive: patrol.isActive,
-                state: patrol.state,
-                currentWaypointIndex: patrol.currentWaypointIndex,
-                tokenPosition: token ? { x: token.x, y: token.y } : null,
-                tokenHidden: token?.document?.hidden ?? false,
-                alertLevel: patrol.alertLevel
-            }
-            stateData.patrols.push(patrolState)
+            stateData.patrols.push(this._capturePatrolState(patrol))
         }
         
-        // Store in memory (session-based, not persisted)
+        // Keep in memory, and on the scene so it survives a reload
         if (!this._savedSceneStates) {
             this._savedSceneStates = new Map()
         }
         this._savedSceneStates.set(sceneId, stateData)
         
+        if (isPrimaryGM()) {
+            try {
+                await game.scenes.get(sceneId)?.setFlag(MODULE_ID, 'runtimeState', stateData)
+            } catch (err) {
+                warn('Could not save patrol runtime state to the scene:', err)
+            }
+        }
+        
         debug(`Saved scene state for ${stateData.sceneName}: ${stateData.patrols.length} patrols`)
     }
     
+    /**
+     * A patrol's runtime state, as saved in a scene snapshot
+     * @param {Patrol} patrol 
+     * @returns {Object}
+     */
+    _capturePatrolState(patrol) {
+        // Read the document, not the placeable - the canvas may already show another scene
+        const tokenDoc = patrol.tokenDocument
+        const gridSize = patrol.scene?.grid?.size || canvas.dimensions.size
+        return {
+            id: patrol.id,
+            name: patrol.name,
+            // Guards busy chasing or searching pick their route back up on restore
+            wasActive: patrol.isActive || patrol.isPursuing || patrol.isInvestigating,
+            state: patrol.state,
+            phase: patrol._currentPhase,
+            currentWaypointIndex: patrol.currentWaypointIndex,
+            tokenPosition: tokenDoc ? { x: tokenDoc.x, y: tokenDoc.y } : null,
+            tokenCenter: tokenDoc ? {
+                x: tokenDoc.x + (tokenDoc.width * gridSize) / 2,
+                y: tokenDoc.y + (tokenDoc.height * gridSize) / 2
+            } : null,
+            tokenHidden: tokenDoc?.hidden ?? false,
+            alertLevel: patrol.alertLevel,
+            alertState: patrol.alertState
+        }
+    }
+    
+    /**
+     * Add a patrol that crossed to a scene nobody here is viewing to that
+     * scene's snapshot, so the simulator catches it up when the scene is
+     * next viewed. The entry carries its own time, since the rest of the
+     * snapshot may be older
+     * @param {Patrol} patrol - Already moved to its new scene
+     */
+    async saveTransferState(patrol) {
+        const scene = patrol.scene
+        if (!isPrimaryGM() || !scene) return
+        
+        const patrolState = {
+            ...this._capturePatrolState(patrol),
+            timestamp: Date.now(),
+            worldTime: game.time.worldTime
+        }
+        
+        const saved = this.getSavedSceneState(scene.id)
+        const stateData = saved
+            ? { ...saved, patrols: saved.patrols.filter(p => p.id !== patrol.id) }
+            : { timestamp: patrolState.timestamp, worldTime: patrolState.worldTime, sceneName: scene.name, patrols: [] }
+        stateData.patrols.push(patrolState)
+        
+        if (!this._savedSceneStates) {
+            this._savedSceneStates = new Map()
+        }
+        this._savedSceneStates.set(scene.id, stateData)
+        
+        try {
+            await scene.setFlag(MODULE_ID, 'runtimeState', stateData)
+        } catch (err) {
+            warn('Could not save patrol runtime state to the scene:', err)
+        }
+        
+        debug(`Saved ${patrol.name} to the snapshot of ${scene.name}`)
+    }
+    
     /**
      * Get saved state for a scene
      * @param {string} sceneId 
      * @returns {Object|null}
      */
     getSavedSceneState(sceneId) {
-        if (!this._savedSceneStates) return null
-        return this._savedSceneStates.get(sceneId) || null
+        return this._savedSceneStates?.get(sceneId)
+            || game.scenes.get(sceneId)?.getFlag(MODULE_ID, 'runtimeState')
+            || null
     }
     
     /**
      * Clear saved state for a scene
      * @param {string} sceneId 
      */
-    clearSavedSceneState(sceneId) {
+    async clearSavedSceneState(sceneId) {
         if (this._savedSceneStates) {
             this._savedSceneStates.delete(sceneId)
         }
+        
+        const scene = game.scenes.get(sceneId)
+        if (isPrimaryGM() && scene?.getFlag(MODULE_ID, 'runtimeState')) {
+            await scene.unsetFlag(MODULE_ID, 'runtimeState')
+        }
     }
     
     /**
@@ -303,7 +461,15 @@ export class PatrolManager {
      * @param {Object} savedState 
      */
     async promptRestoreState(savedState) {
-        if (!savedState || !savedState.patrols.length) return
+        // Every GM can read the snapshot; only the one running patrols restores it
+        if (!isPrimaryGM() || !savedState || !savedState.patrols.length) return
+        
+        // Caught-up patrols carry on without asking
+        if (patrolSimulator.isEnabled) {
+            await this.restoreSceneState(savedState)
+            await this.clearSavedSceneState(canvas.scene.id)
+            return
+        }
         
         const activeCount = savedState.patrols.filter(p => p.wasActive).length
         const timeSince = Math.round((Date.now() - savedState.timestamp) / 1000 / 60)
@@ -331,11 +497,19 @@ export class PatrolManager {
             await this.restoreSceneState(savedState)
             ui.notifications.info(`Restored patrol state for ${savedState.sceneName}`)
         } else {
+            // Loading held back auto-start until this was answered
+            for (const patrolState of savedState.patrols) {
+                const patrol = this._patrols.get(patrolState.id)
+                if (!patrolState.wasActive || !patrol || patrol.isActive || patrol.disabled) continue
+                
+                patrol.currentWaypointIndex = 0
+                await patrol.start()
+            }
             ui.notifications.info('Starting patrols fresh')
         }
         
         // Clear the saved state either way
-        this.clearSavedSceneState(canvas.scene.id)
+        await this.clearSavedSceneState(canvas.scene.id)
     }
     
     /**
@@ -343,7 +517,10 @@ export class PatrolManager {
      * @param {Object} savedState 
      */
     async restoreSceneState(savedState) {
-        if (!savedState || !savedState.patrols) return
+        if (!isPrimaryGM() || !savedState || !savedState.patrols) return
+        
+        const simulate = patrolSimulator.isEnabled
+        const elapsed = simulate ? patrolSimulator.elapsedSince(savedState) : 0
         
         for (const patrolState of savedState.patrols) {
             const patrol = this._patrols.get(patrolState.id)
@@ -354,14 +531,27 @@ export class PatrolManager {
                 patrol.currentWaypointIndex = patrolState.currentWaypointIndex
             }
             
-            // Restore alert level
-            if (typeof patrolState.alertLevel === 'number') {
-                patrol.alertLevel = patrolState.alertLevel
+            // Restore alert state
+            if (patrolState.alertState) {
+                patrol.setAlertState(patrolState.alertState, { reason: 'restore' })
             }
             
+            // Move active patrols on by the time spent away; patrols that
+            // arrived through a portal count from when they arrived
+            const away = simulate && patrolState.timestamp ? patrolSimulator.elapsedSince(patrolState) : elapsed
+            const simulated = patrolState.wasActive && away > 0
+                ? await patrolSimulator.advance(patrol, patrolState, away)
+                : null
+            
             // Restore token position if available
             const token = patrol.token
-            if (token && patrolState.tokenPosition) {
+            if (token && simulated?.position) {
+                await token.document.update({
+                    x: simulated.position.x - (token.document.width * canvas.grid.size) / 2,
+                    y: simulated.position.y - (token.document.height * canvas.grid.size) / 2,
+                    hidden: simulated.hidden
+                }, { animate: false })
+            } else if (token && patrolState.tokenPosition) {
                 await token.document.update({
                     x: patrolState.tokenPosition.x,
                     y: patrolState.tokenPosition.y,
@@ -480,6 +670,20 @@ export class PatrolManager {
         return null
     }
     
+    /**
+     * Get the squad patrol a non-leader token marches with
+     * @param {string} tokenId 
+     * @returns {Patrol|null}
+     */
+    getPatrolForMember(tokenId) {
+        for (const patrol of this._patrols.values()) {
+            if (patrol.memberTokenIds.includes(tokenId)) {
+                return patrol
+            }
+        }
+        return null
+    }
+    
     /**
      * Delete a patrol
      * @param {string} patrolId 
@@ -632,7 +836,24 @@ export class PatrolManager {
      * @param {TokenDocument} tokenDoc 
      */
     _handleTokenDelete(tokenDoc) {
+        // Losing a squad member never stops the patrol
+        const squad = this.getPatrolForMember(tokenDoc.id)
+        if (squad) {
+            bodySystem.recordMissing(squad, tokenDoc)
+            squad.removeMember(tokenDoc.id)
+            squad.save()
+            return
+        }
+        
         const patrol = this.getPatrolForToken(tokenDoc.id)
+        if (patrol) bodySystem.recordMissing(patrol, tokenDoc)
+        
+        if (patrol?.isSquad && patrol.promoteLeader()) {
+            warn(`Squad leader deleted for patrol: ${patrol.name}, next member takes over`)
+            patrol.save()
+            return
+        }
+        
         if (patrol) {
             warn(`Token deleted for patrol: ${patrol.name}`)
             patrol.stop()
@@ -657,6 +878,49 @@ export class PatrolManager {
         }
     }
     
+    /**
+     * Step combat-time patrols when the combat round or turn changes
+     * @param {Combat} combat 
+     * @param {Object} changes 
+     */
+    _handleCombatAdvance(combat, changes) {
+        if (!isPrimaryGM()) return
+        if (combat.scene && combat.scene.id !== this._currentSceneId) return
+        
+        const stepMode = getSetting('combatStepMode', 'round')
+        const roundChanged = changes.round !== undefined
+        const turnChanged = changes.turn !== undefined
+        
+        // Ending combat without deleting it clears `started`
+        const ended = !combat.started
+        
+        if (!ended && stepMode === 'round' && !roundChanged) return
+        if (!ended && stepMode === 'turn' && !roundChanged && !turnChanged) return
+        
+        for (const patrol of this._patrols.values()) {
+            patrol.advanceCombatStep()
+        }
+    }
+    
+    /**
+     * Return patrols to real-time timing when a combat is deleted
+     * @param {Combat} combat 
+     */
+    _handleCombatEnd(combat) {
+        if (!isPrimaryGM()) return
+        if (combat.scene && combat.scene.id !== this._currentSceneId) return
+        
+        debug('Combat ended, patrols return to real time')
+        for (const patrol of this._patrols.values()) {
+            patrol.advanceCombatStep()
+            
+            // Survivors look around before standing down
+            if (patrol.alertState === ALERT_STATES.COMBAT) {
+                patrol.setAlertState(ALERT_STATES.SEARCHING, { reason: 'combatEnded' })
+            }
+        }
+    }
+    
     // ==========================================
     // Import/Export
     // ==========================================
@@ -0,0 +1,276 @@
+/**
+ * RNK Patrol - Patrol Scheduler
+ *
+ * Drives patrol schedules from the world clock. Listens to the
+ * `updateWorldTime` hook and, for every patrol with a schedule enabled:
+ * - starts or stops it when the clock enters or leaves its active hours
+ * - announces day/night watch changes (the route itself filters waypoints
+ *   by watch, see Patrol#isWaypointOnWatch)
+ * - hands the route over to a relief guard when a shift ends
+ *
+ * @module PatrolScheduler
+ */
+
+import { MODULE_ID, debug, warn, error, isPrimaryGM } from './main.js'
+import { Waypoint } from './Waypoint.js'
+
+/**
+ * PatrolScheduler - world-time schedules and shift changes
+ */
+export class PatrolScheduler {
+
+    constructor() {
+        /**
+         * Last duty/watch status seen per patrol, so only transitions act
+         * @type {Map<string, {onDuty: boolean, watch: string|null}>}
+         */
+        this._status = new Map()
+
+        /**
+         * Guard against overlapping evaluations while documents update
+         * @type {boolean}
+         */
+        this._running = false
+
+        /**
+         * World time of a clock change that arrived mid-evaluation, run once
+         * the current evaluation finishes
+         * @type {number|null}
+         */
+        this._pending = null
+    }
+
+    /**
+     * Initialize the scheduler
+     */
+    initialize() {
+        Hooks.on('updateWorldTime', (worldTime) => {
+            this.evaluate(worldTime).catch(err => error('Patrol schedule failed:', err))
+        })
+
+        // Patrols are rebuilt on scene change; forget old status and re-check
+        Hooks.on('rnkPatrol.patrolsLoaded', () => {
+            this._status.clear()
+            this.evaluate(game.time.worldTime).catch(err => error('Patrol schedule failed:', err))
+        })
+
+        debug('PatrolScheduler initialized')
+
+        // The current scene may have loaded before these hooks existed
+        this.evaluate(game.time.worldTime).catch(err => error('Patrol schedule failed:', err))
+    }
+
+    /**
+     * Apply every scheduled patrol's schedule for the given world time
+     * @param {number} worldTime - Seconds
+     */
+    async evaluate(worldTime = game.time.worldTime) {
+        if (!isPrimaryGM()) return
+        if (this._running) {
+            this._pending = worldTime
+            return
+        }
+
+        const manager = game.rnkPatrol?.manager
+        if (!manager) return
+
+        this._running = true
+        try {
+            // Clock changes that arrive meanwhile are applied in turn, latest only
+            let time = worldTime
+            while (time !== null) {
+                this._pending = null
+                for (const patrol of manager.getPatrols()) {
+                    if (!patrol.schedule?.enabled || patrol.disabled) continue
+                    await this._applySchedule(patrol, time)
+                }
+                time = this._pending
+            }
+        } finally {
+            this._running = false
+            this._pending = null
+        }
+    }
+
+    /**
+     * Apply one patrol's schedule
+     * @param {Patrol} patrol
+     * @param {number} worldTime
+     */
+    async _applySchedule(patrol, worldTime) {
+        const previous = this._status.get(patrol.id)
+        const onDuty = patrol.isOnDuty
+        const watch = patrol.currentWatch
+
+        this._status.set(patrol.id, { onDuty, watch })
+
+        // Watch change - the route switches on the next waypoint selection
+        if (previous && previous.watch !== watch) {
+            debug(`${patrol.name} changes to the ${watch} watch`)
+            Hooks.callAll('rnkPatrol.watchChanged', patrol, watch, previous.watch)
+        }
+
+        // Active hours. On first sight only stand down an off-duty patrol;
+        // after that act on transitions so manual starts/stops are respected
+        if (!onDuty && (!previous || previous.onDuty)) {
+            if (patrol.isActive || patrol.isPaused || patrol.isPursuing || patrol.isInvestigating) {
+                debug(`${patrol.name} is off duty`)
+                await patrol.stop()
+                Hooks.callAll('rnkPatrol.dutyChanged', patrol, false)
+            }
+        } else if (onDuty && previous && !previous.onDuty) {
+            debug(`${patrol.name} is on duty`)
+            if (!patrol.isActive) await patrol.start()
+            Hooks.callAll('rnkPatrol.dutyChanged', patrol, true)
+        }
+
+        if (onDuty) await this._checkShift(patrol, worldTime)
+    }
+
+    // ==========================================
+    // Shift Changes
+    // ==========================================
+
+    /**
+     * Hand over to a relief guard once the current shift has run its length
+     * @param {Patrol} patrol
+     * @param {number} worldTime
+     */
+    async _checkShift(patrol, worldTime) {
+        const shiftSeconds = (Number(patrol.schedule.shiftLength) || 0) * 3600
+        if (shiftSeconds <= 0) return
+
+        const startedAt = patrol.schedule.shiftStartedAt
+
+        // First shift, or the clock was wound back past the shift start
+        if (startedAt === null || startedAt === undefined || worldTime < startedAt) {
+            patrol.schedule.shiftStartedAt = worldTime
+            await patrol.save()
+            return
+        }
+
+        const elapsed = worldTime - startedAt
+        if (elapsed < shiftSeconds) return
+
+        // Skipping several shifts at once still produces a single handoff
+        patrol.schedule.shiftStartedAt = startedAt + Math.floor(elapsed / shiftSeconds) * shiftSeconds
+        await this.changeShift(patrol)
+    }
+
+    /**
+     * Replace the patrol's guard token with a relief guard at the barracks
+     * @param {Patrol} patrol
+     * @returns {Promise<TokenDocument|null>} The relief token document
+     */
+    async changeShift(patrol) {
+        const scene = patrol.scene
+        if (!scene) return null
+
+        const outgoing = patrol.tokenDocument
+        const barracks = Waypoint.getSceneWaypoints(patrol.sceneId)
+            .find(w => w.id === patrol.schedule.barracksWaypointId) || null
+
+        const tokenData = await this._buildReliefData(patrol, outgoing, barracks)
+        if (!tokenData) {
+            warn(`No relief guard available for patrol ${patrol.name}`)
+            await patrol.save()
+            return null
+        }
+
+        const wasRunning = patrol.isActive || patrol.isPaused || patrol.isPursuing || patrol.isInvestigating
+        if (wasRunning) await patrol.stop()
+
+        const [relief] = await scene.createEmbeddedDocuments('Token', [tokenData])
+        if (!relief) return null
+
+        // Reassign before deleting so the token-delete hook ignores the old guard
+        const outgoingId = patrol.tokenId
+        patrol.tokenId = relief.id
+        await patrol.save()
+
+        if (outgoing) {
+            await this._despawn(patrol, outgoing)
+        }
+
+        debug(`Shift change for ${patrol.name}: ${outgoingId} -> ${relief.id}`)
+        Hooks.callAll('rnkPatrol.shiftChanged', patrol, relief, outgoingId)
+
+        if (wasRunning) await patrol.start()
+
+        return relief
+    }
+
+    /**
+     * Build token data for the relief guard
+     * @param {Patrol} patrol
+     * @param {TokenDocument|null} outgoing
+     * @param {Waypoint|null} barracks
+     * @returns {Promise<Object|null>}
+     */
+    async _buildReliefData(patrol, outgoing, barracks) {
+        const actor = game.actors.get(patrol.schedule.reliefActorId)
+            || (outgoing ? null : game.actors.get(patrol.guardActorId))
+
+        let data = null
+        if (actor) {
+            const doc = await actor.getTokenDocument({ disposition: CONST.TOKEN_DISPOSITIONS.HOSTILE })
+            data = doc.toObject()
+        } else if (outgoing) {
+            // Same guard type comes back on duty
+            data = outgoing.toObject()
+            delete data._id
+        } else {
+            return null
+        }
+
+        // Barracks first, then where the outgoing guard stood, then the route
+        const gridSize = patrol.scene.grid?.size || canvas.dimensions.size
+        const post = barracks || outgoing ? null : patrol.currentWaypoint || patrol.waypoints[0] || null
+        let anchor = null
+        if (barracks) anchor = { x: barracks.x, y: barracks.y }
+        else if (outgoing) anchor = { x: outgoing.x + (outgoing.width * gridSize) / 2, y: outgoing.y + (outgoing.height * gridSize) / 2 }
+        else if (post) anchor = { x: post.x, y: post.y }
+        else return null
+
+        data.x = anchor.x - ((data.width || 1) * gridSize) / 2
+        data.y = anchor.y - ((data.height || 1) * gridSize) / 2
+        data.hidden = false
+
+        foundry.utils.setProperty(data, `flags.${MODULE_ID}`, {
+            ...(data.flags?.[MODULE_ID] || {}),
+            isPatrolToken: true,
+            sourcePatrolId: patrol.id,
+            shiftRelief: true
+        })
+
+        return data
+    }
+
+    /**
+     * Remove the outgoing guard with the patrol's disappear effect
+     * @param {Patrol} patrol
+     * @param {TokenDocument} tokenDoc
+     */
+    async _despawn(patrol, tokenDoc) {
+        const { PatrolEffects } = game.rnkPatrol
+        const token = tokenDoc.object
+        if (PatrolEffects && token && !tokenDoc.hidden) {
+            await PatrolEffects.playDisappearEffect({
+                x: token.center.x,
+                y: token.center.y,
+                effectType: patrol.effectType,
+                color: patrol.color,
+                tokenId: tokenDoc.id
+            })
+        }
+
+        try {
+            await tokenDoc.delete()
+        } catch (err) {
+            warn(`Could not remove outgoing guard for ${patrol.name}:`, err)
+        }
+    }
+}
+
+// Export singleton
+export const patrolScheduler = new PatrolScheduler()
@@ -0,0 +1,163 @@
+/**
+ * RNK Patrol - Patrol Simulator
+ *
+ * Catches up patrols on a scene nobody was viewing. Live patrols need the
+ * canvas, so they stop when the GM leaves a scene. When the GM comes back,
+ * the simulator replays the time away against the scene snapshot
+ * (PatrolManager#saveSceneState): waypoint selection, appear and disappear
+ * phases, walking legs and alert decay. It then reports where the guard
+ * should be standing now.
+ *
+ * @module PatrolSimulator
+ */
+
+import { debug, PATROL_MODES, SEGMENT_MODES } from './main.js'
+import { getSetting } from './settings.js'
+import { Pathfinder } from './Pathfinder.js'
+
+/**
+ * PatrolSimulator - headless catch-up for off-screen patrols
+ */
+export class PatrolSimulator {
+
+    /**
+     * Most waypoint steps replayed for one patrol
+     * @type {number}
+     */
+    static MAX_STEPS = 500
+
+    /**
+     * Which clock measures time away: 'real', 'world' or 'off'
+     * @returns {string}
+     */
+    get clock() {
+        return getSetting('offscreenSimulation', 'real')
+    }
+
+    /**
+     * Check whether off-screen patrols are caught up at all
+     * @returns {boolean}
+     */
+    get isEnabled() {
+        return this.clock !== 'off'
+    }
+
+    /**
+     * Seconds that passed since a scene snapshot, on the configured clock
+     * @param {Object} snapshot - From PatrolManager#saveSceneState
+     * @returns {number}
+     */
+    elapsedSince(snapshot) {
+        if (this.clock === 'world') {
+            const since = snapshot.worldTime ?? game.time.worldTime
+            return Math.max(0, game.time.worldTime - since)
+        }
+        return Math.max(0, (Date.now() - snapshot.timestamp) / 1000)
+    }
+
+    /**
+     * Replay a patrol's route for the time it was off-screen. Waypoint
+     * selection runs on the patrol itself, so its index, pattern state and
+     * alert level end up where the live loop would have left them
+     * @param {Patrol} patrol
+     * @param {Object} patrolState - The patrol's entry in the snapshot
+     * @param {number} seconds - Time away
+     * @returns {Promise<{phase: string, position: Point|null, hidden: boolean}>}
+     */
+    async advance(patrol, patrolState, seconds) {
+        const scale = patrol.timeScale
+        const speed = 6 * canvas.grid.size * scale
+        const walker = patrol.mode === PATROL_MODES.WALK
+
+        let remaining = seconds
+        let position = patrolState.tokenCenter ?? null
+        let from = position
+        let phase = walker
+            ? 'walking'
+            : (patrolState.phase === 'visible' || patrolState.phase === 'appear') ? 'visible' : 'invisible'
+
+        // Waypoint conditions see the alert as it stands after the time away
+        patrol.settleAlert(seconds)
+
+        // Replayed condition checks skip macros and read time windows at the
+        // simulated hour when the world clock measures the time away
+        const startTime = this.clock === 'world' ? game.time.worldTime - seconds : null
+        const conditions = () => ({
+            macros: false,
+            worldTime: startTime === null ? null : startTime + (seconds - remaining)
+        })
+
+        let steps = 0
+        while (remaining > 0 && steps++ < PatrolSimulator.MAX_STEPS) {
+            const waypoint = patrol.currentWaypoint
+            if (!waypoint) break
+
+            if (phase === 'walking') {
+                from = position ?? { x: waypoint.x, y: waypoint.y }
+                const travel = Math.hypot(waypoint.x - from.x, waypoint.y - from.y) / speed
+
+                if (remaining < travel) {
+                    const t = remaining / travel
+                    position = { x: from.x + (waypoint.x - from.x) * t, y: from.y + (waypoint.y - from.y) * t }
+                    break
+                }
+
+                remaining -= travel
+                position = { x: waypoint.x, y: waypoint.y }
+                phase = 'visible'
+                continue
+            }
+
+            if (phase === 'visible') {
+                const dwell = patrol.effectiveAppearDuration / scale
+                if (remaining < dwell) break
+                remaining -= dwell
+
+                // Portals are left for the live patrol to cross
+                if (waypoint.isPortal) break
+
+                const leaveBy = walker
+                    ? SEGMENT_MODES.WALK
+                    : patrol.mode === PATROL_MODES.HYBRID ? patrol.getSegmentMode(waypoint.id) : SEGMENT_MODES.BLINK
+
+                // Area patrols move one roaming waypoint in place, so compare
+                // where it stands rather than the object. Pathfinding every
+                // leg would stall the canvas, and macros would run hundreds of
+                // times, so the replay skips both
+                const left = { id: waypoint.id, x: waypoint.x, y: waypoint.y }
+                await patrol._selectNextWaypoint({ pathfind: false, conditions: conditions() })
+
+                // Nowhere eligible to go - the guard holds its post
+                const next = patrol.currentWaypoint
+                if (!next || (next.id === left.id && next.x === left.x && next.y === left.y)) break
+
+                position = { x: left.x, y: left.y }
+                phase = leaveBy === SEGMENT_MODES.BLINK ? 'invisible' : 'walking'
+                continue
+            }
+
+            // Invisible between waypoints
+            const gap = patrol.effectiveDisappearDuration / scale
+            if (remaining < gap) break
+            remaining -= gap
+
+            position = { x: waypoint.x, y: waypoint.y }
+            phase = 'visible'
+        }
+
+        const waypoint = patrol.currentWaypoint
+        if (phase !== 'walking' && waypoint) {
+            position = { x: waypoint.x, y: waypoint.y }
+        } else if (phase === 'walking' && position && from && Pathfinder.isBlocked(from, position)) {
+            // A straight-line estimate through a wall is not plausible
+            position = from
+        }
+
+        debug(`Simulated ${Math.round(seconds)}s for ${patrol.name}: ${phase} near ${waypoint?.name}`)
+
+        return { phase, position, hidden: phase === 'invisible' }
+    }
+}
+
+// Export singleton
+export const patrolSimulator = new PatrolSimulator()
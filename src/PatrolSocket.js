@@ -3,7 +3,7 @@
  * Manages GM/Player communication for patrol synchronization
  */
 
-import { MODULE_ID, emitSocket } from './main.js';
+import { MODULE_ID, emitSocket, isPrimaryGM, error } from './main.js';
 
 /**
  * Socket message types
@@ -37,6 +37,9 @@ export const SOCKET_TYPES = {
     
     // Alerts
     DETECTION_ALERT: 'detectionAlert',
+    MAKE_NOISE: 'makeNoise',
+    SUSPICION_UPDATE: 'suspicionUpdate',
+    SENTRY_DISABLE: 'sentryDisable',
     
     // Reinforcement system
     ALERT_POPUP: 'alertPopup',
@@ -149,6 +152,18 @@ export class PatrolSocket {
                 this._onDetectionAlert(payload);
                 break;
                 
+            case SOCKET_TYPES.MAKE_NOISE:
+                this._onMakeNoise(payload);
+                break;
+                
+            case SOCKET_TYPES.SUSPICION_UPDATE:
+                this._onSuspicionUpdate(payload);
+                break;
+                
+            case SOCKET_TYPES.SENTRY_DISABLE:
+                this._onSentryDisable(payload, userId);
+                break;
+                
             case SOCKET_TYPES.ALERT_POPUP:
                 this._onAlertPopup(payload);
                 break;
@@ -354,6 +369,8 @@ export class PatrolSocket {
         const { targetUserId, patrolName, tokenName, alertLevel } = payload;
         if (game.user.id !== targetUserId) return;
 
+        if (payload.challenge) return this._openChallengeWindow(payload);
+
         const content = `
             <div class="rnk-patrol-interaction-dialog">
                 <p>The patrol <strong>${patrolName}</strong> just detected <strong>${tokenName}</strong>.</p>
@@ -383,6 +400,69 @@ export class PatrolSocket {
         }).render(true);
     }
 
+    /**
+     * A guard with doubts stops the token and demands it identify itself
+     * @param {Object} payload - As for the interaction window, with challenge set
+     */
+    static _openChallengeWindow(payload) {
+        const i18n = key => game.i18n.localize(`${MODULE_ID}.clearance.challenge.${key}`);
+        const content = `
+            <div class="rnk-patrol-interaction-dialog">
+                <p>${game.i18n.format(`${MODULE_ID}.clearance.challenge.prompt`, {
+                    patrol: payload.patrolName,
+                    token: payload.tokenName
+                })}</p>
+            </div>
+        `;
+
+        const buttons = {};
+        for (const decision of ['papers', 'password', 'bluff', 'flee']) {
+            buttons[decision] = {
+                label: i18n(decision),
+                callback: () => decision === 'password'
+                    ? this._askPassword(payload)
+                    : this._sendInteractionDecision(payload, decision)
+            };
+        }
+
+        new Dialog({
+            title: i18n('title'),
+            content,
+            buttons,
+            default: 'papers'
+        }).render(true);
+    }
+
+    /**
+     * Ask the player which password the token gives
+     * @param {Object} payload - As for the challenge window
+     */
+    static _askPassword(payload) {
+        const i18n = key => game.i18n.localize(`${MODULE_ID}.clearance.challenge.${key}`);
+
+        new Dialog({
+            title: i18n('title'),
+            content: `
+                <form>
+                    <div class="form-group">
+                        <label>${i18n('passwordPrompt')}</label>
+                        <input type="text" name="password" autofocus>
+                    </div>
+                </form>
+            `,
+            buttons: {
+                speak: {
+                    label: i18n('password'),
+                    callback: html => {
+                        const password = (html[0] ?? html).querySelector('input[name="password"]').value;
+                        this._sendInteractionDecision({ ...payload, password }, 'password');
+                    }
+                }
+            },
+            default: 'speak'
+        }).render(true);
+    }
+
     static _sendInteractionDecision(payload, decision) {
         const { targetUserId, ...rest } = payload;
         emitSocket('interactionResponse', { ...rest, decision });
@@ -392,7 +472,7 @@ export class PatrolSocket {
     static _onInteractionResponse(payload, senderId) {
         if (!game.user.isGM) return;
 
-        const { patrolName, tokenName, decision } = payload;
+        const { patrolName, tokenName, decision, password, ...details } = payload;
         const user = game.users.get(senderId);
         const ownerLabel = user?.name || 'Player';
 
@@ -408,7 +488,17 @@ export class PatrolSocket {
 
         ui.notifications.info(`${tokenName} (${ownerLabel}) chose to ${decision}.`);
 
-        Hooks.callAll('rnkPatrol.interactionResponse', payload);
+        // The primary GM settles a challenge; the password stays out of chat and hooks
+        if (payload.challenge && isPrimaryGM()) {
+            const patrol = this.manager?.getPatrol(payload.patrolId);
+            const token = canvas.tokens?.get(payload.tokenId);
+            if (patrol && token) {
+                game.rnkPatrol?.clearance?.resolveChallenge(patrol, token, decision, { password, userId: senderId })
+                    .catch(err => error('Could not settle the challenge:', err));
+            }
+        }
+
+        Hooks.callAll('rnkPatrol.interactionResponse', { patrolName, tokenName, decision, ...details });
     }
 
     // ==================== Sync Handlers ====================
@@ -776,6 +866,34 @@ export class PatrolSocket {
         }
     }
 
+    /**
+     * Handle a noise made on another client. Guards only run on the primary GM
+     * @param {Object} payload - Noise data, see NoiseSystem#makeNoise
+     */
+    static _onMakeNoise(payload) {
+        if (!isPrimaryGM()) return;
+        game.rnkPatrol?.noise?.makeNoise(payload);
+    }
+
+    /**
+     * Draw a guard's suspicion meters sent by the primary GM
+     * @param {Object} payload - See SuspicionMeter.receive
+     */
+    static _onSuspicionUpdate(payload) {
+        game.rnkPatrol?.SuspicionMeter?.receive(payload);
+    }
+
+    /**
+     * Handle a player disabling a sentry, by check when a total is sent
+     * and outright otherwise
+     * @param {Object} payload - Sentry ID, token ID and the check total
+     * @param {string} senderId - The requesting user
+     */
+    static _onSentryDisable(payload, senderId) {
+        if (!isPrimaryGM()) return;
+        game.rnkPatrol?.sentries?.receiveDisable(payload, senderId);
+    }
+
     // ==================== Public Broadcast Methods ====================
 
     /**
@@ -834,6 +952,30 @@ export class PatrolSocket {
         });
     }
 
+    /**
+     * Hand a noise to the primary GM
+     * @param {Object} noise 
+     */
+    static broadcastNoise(noise) {
+        this.emit(SOCKET_TYPES.MAKE_NOISE, noise);
+    }
+
+    /**
+     * Broadcast a guard's suspicion meters
+     * @param {Object} payload - Guard token ID, meters by target and display mode
+     */
+    static broadcastSuspicion(payload) {
+        this.emit(SOCKET_TYPES.SUSPICION_UPDATE, payload);
+    }
+
+    /**
+     * Hand a player's attempt to disable a sentry to the primary GM
+     * @param {Object} payload - Sentry ID, token ID and, for a check, its total
+     */
+    static broadcastSentryDisable(payload) {
+        this.emit(SOCKET_TYPES.SENTRY_DISABLE, payload);
+    }
+
     /**
      * Request sync from GM
      */
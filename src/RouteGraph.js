@@ -0,0 +1,216 @@
+/**
+ * RNK Patrol - Route Graph
+ *
+ * A patrol route expressed as a graph: waypoints are nodes, edges connect
+ * them. Edges are undirected unless marked `directed`, and carry a weight
+ * used as the preference for weighted-edge selection. Path costs use the
+ * distance between waypoints.
+ *
+ * @module RouteGraph
+ */
+
+/**
+ * RouteGraph - nodes and edges of a branching patrol route
+ */
+export class RouteGraph {
+
+    /**
+     * @param {Object} data
+     * @param {Array<{from: string, to: string, weight: number, directed: boolean}>} data.edges
+     */
+    constructor(data = {}) {
+        /**
+         * Edge list
+         * @type {Array<{from: string, to: string, weight: number, directed: boolean}>}
+         */
+        this.edges = (data.edges || [])
+            .filter(e => e?.from && e?.to && e.from !== e.to)
+            .map(e => ({
+                from: e.from,
+                to: e.to,
+                weight: Math.max(0, Number(e.weight ?? 1)),
+                directed: !!e.directed
+            }))
+    }
+
+    /**
+     * Build a graph from a linear waypoint list
+     * @param {string[]} waypointIds
+     * @param {Object} options
+     * @param {boolean} options.loop - Connect the last waypoint back to the first (default true)
+     * @returns {RouteGraph}
+     */
+    static fromLinear(waypointIds, options = {}) {
+        const { loop = true } = options
+        const edges = []
+
+        for (let i = 0; i < waypointIds.length - 1; i++) {
+            edges.push({ from: waypointIds[i], to: waypointIds[i + 1], weight: 1, directed: false })
+        }
+
+        if (loop && waypointIds.length > 2) {
+            edges.push({ from: waypointIds[waypointIds.length - 1], to: waypointIds[0], weight: 1, directed: false })
+        }
+
+        return new RouteGraph({ edges })
+    }
+
+    /**
+     * Whether the graph has any edges
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return this.edges.length === 0
+    }
+
+    /**
+     * Edges leaving a node. Undirected edges are traversable both ways
+     * @param {string} nodeId
+     * @returns {Array<{to: string, weight: number}>}
+     */
+    outgoing(nodeId) {
+        const result = []
+        for (const edge of this.edges) {
+            if (edge.from === nodeId) {
+                result.push({ to: edge.to, weight: edge.weight })
+            } else if (!edge.directed && edge.to === nodeId) {
+                result.push({ to: edge.from, weight: edge.weight })
+            }
+        }
+        return result
+    }
+
+    /**
+     * Add an edge
+     * @param {string} from
+     * @param {string} to
+     * @param {Object} options
+     * @param {number} options.weight
+     * @param {boolean} options.directed
+     */
+    addEdge(from, to, options = {}) {
+        if (!from || !to || from === to) return
+        this.edges.push({
+            from,
+            to,
+            weight: Math.max(0, Number(options.weight ?? 1)),
+            directed: !!options.directed
+        })
+    }
+
+    /**
+     * Drop a node and every edge touching it
+     * @param {string} nodeId
+     */
+    removeNode(nodeId) {
+        this.edges = this.edges.filter(e => e.from !== nodeId && e.to !== nodeId)
+    }
+
+    /**
+     * Keep only edges between the given nodes
+     * @param {string[]} nodeIds
+     */
+    restrictTo(nodeIds) {
+        const keep = new Set(nodeIds)
+        this.edges = this.edges.filter(e => keep.has(e.from) && keep.has(e.to))
+    }
+
+    /**
+     * Dijkstra shortest path between two nodes
+     * @param {string} from
+     * @param {string} to
+     * @param {Function} cost - (fromId, toId) => number, defaults to 1 per edge
+     * @param {Function} allow - (nodeId) => boolean, nodes that may be entered
+     * @returns {{path: string[], cost: number}|null} Path excludes `from`; null if unreachable
+     */
+    shortestPath(from, to, cost = () => 1, allow = () => true) {
+        if (from === to) return { path: [], cost: 0 }
+
+        const dist = new Map([[from, 0]])
+        const previous = new Map()
+        const visited = new Set()
+
+        while (true) {
+            // Graphs are small; a linear scan beats maintaining a heap
+            let current = null
+            let best = Infinity
+            for (const [node, d] of dist) {
+                if (!visited.has(node) && d < best) {
+                    best = d
+                    current = node
+                }
+            }
+
+            if (current === null) return null
+            if (current === to) break
+            visited.add(current)
+
+            for (const edge of this.outgoing(current)) {
+                if (visited.has(edge.to) || !allow(edge.to)) continue
+                const d = best + Math.max(0, cost(current, edge.to))
+                if (d < (dist.get(edge.to) ?? Infinity)) {
+                    dist.set(edge.to, d)
+                    previous.set(edge.to, current)
+                }
+            }
+        }
+
+        const path = []
+        for (let node = to; node !== from; node = previous.get(node)) {
+            path.unshift(node)
+        }
+
+        return { path, cost: dist.get(to) }
+    }
+
+    /**
+     * Plan a closed tour from a node through every target and back, built
+     * from shortest paths to the nearest unvisited target each time
+     * @param {string} start
+     * @param {string[]} targets
+     * @param {Function} cost - (fromId, toId) => number
+     * @param {Function} allow - (nodeId) => boolean
+     * @returns {string[]} Node IDs to visit in order, ending at `start`
+     */
+    planLoop(start, targets, cost = () => 1, allow = () => true) {
+        const remaining = new Set(targets.filter(id => id !== start))
+        const tour = []
+        let current = start
+
+        while (remaining.size > 0) {
+            let nearest = null
+            for (const target of remaining) {
+                const route = this.shortestPath(current, target, cost, allow)
+                if (route && (!nearest || route.cost < nearest.cost)) {
+                    nearest = { target, ...route }
+                }
+            }
+
+            // Whatever is left cannot be reached from here
+            if (!nearest) break
+
+            for (const node of nearest.path) {
+                tour.push(node)
+                remaining.delete(node)
+            }
+            current = nearest.target
+        }
+
+        if (current !== start) {
+            const back = this.shortestPath(current, start, cost, allow)
+            if (back) tour.push(...back.path)
+        }
+
+        return tour
+    }
+
+    /**
+     * Convert to plain object
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            edges: this.edges.map(e => ({ ...e }))
+        }
+    }
+}
@@ -0,0 +1,496 @@
+/**
+ * RNK Patrol - Sentry Class
+ *
+ * A stationary watchpost: a waypoint that watches on its own, with no
+ * guard standing on it. It keeps the waypoint's range, vision cone and
+ * sweep, and can be bound to a decorative tile (a camera, a gargoyle, a
+ * magic eye) that it sits on and turns with its sweep.
+ *
+ * What a sentry spots it reports like a guard: nearby patrols come to
+ * investigate and the alert hook calls reinforcements. Sentries are saved
+ * to their own scene flag and run on the primary GM.
+ *
+ * @module Sentry
+ */
+
+import { MODULE_ID, debug, warn, error, isPrimaryGM, WAYPOINT_STATES, ALERT_STATES } from './main.js'
+import { Waypoint } from './Waypoint.js'
+import { Lighting } from './Lighting.js'
+import { PatrolDetection } from './PatrolDetection.js'
+import { StealthContest } from './StealthContest.js'
+import { SuspicionMeter } from './SuspicionMeter.js'
+import { clearanceSystem, CLEARANCE_RESULTS } from './ClearanceSystem.js'
+import { detectionScheduler } from './DetectionScheduler.js'
+
+/**
+ * What a sentry does when it spots someone
+ */
+export const SENTRY_ACTIONS = {
+    NONE: 'none',
+    NOTIFY: 'notify',
+    ALERT: 'alert',
+    MACRO: 'macro'
+}
+
+/**
+ * Sentry class - a waypoint that watches without a guard
+ * @extends Waypoint
+ */
+export class Sentry extends Waypoint {
+
+    /**
+     * @inheritdoc
+     */
+    static FLAG = 'sentries'
+
+    /**
+     * @inheritdoc
+     */
+    static MARKER_ICON = '◉'
+
+    /**
+     * @param {Object} data - Sentry data
+     */
+    constructor(data = {}) {
+        super(data)
+        if (!data.name) this.name = `Sentry ${this.id.slice(0, 4)}`
+
+        /**
+         * What happens when the sentry spots someone, one of SENTRY_ACTIONS
+         * @type {string}
+         */
+        this.detectionAction = Object.values(SENTRY_ACTIONS).includes(data.detectionAction)
+            ? data.detectionAction
+            : SENTRY_ACTIONS.ALERT
+
+        /**
+         * Macro run by the macro action
+         * @type {string|null}
+         */
+        this.detectionMacro = data.detectionMacro || null
+
+        /**
+         * Grid squares around the sentry in which patrols answer its alarm;
+         * 0 reaches every patrol on the scene
+         * @type {number}
+         */
+        this.alertRadius = Number(data.alertRadius ?? 20)
+
+        /**
+         * Passive perception, contested against Stealth rolls
+         * @type {number}
+         */
+        this.perception = Number(data.perception ?? 13)
+
+        /**
+         * DC of the check to disable the sentry; 0 means it cannot be
+         * disabled by a check
+         * @type {number}
+         */
+        this.disableDC = Number(data.disableDC ?? 15)
+
+        /**
+         * Decorative tile the sentry sits on and turns
+         * @type {string|null}
+         */
+        this.tileId = data.tileId || null
+
+        /**
+         * Tile rotation less the sentry's facing, taken when the sentry is
+         * bound, so the tile turns with the sweep
+         * @type {number|null}
+         */
+        this.tileOffset = data.tileOffset ?? null
+
+        /**
+         * Faction whose clearance rules the sentry honours
+         * @type {string}
+         */
+        this.faction = data.faction || ''
+
+        /**
+         * The sentry's own clearance rules
+         * @type {Object[]}
+         */
+        this.clearances = data.clearances || []
+
+        /**
+         * Tokens the sentry has reported and that are still in view
+         * @type {Set<string>}
+         */
+        this._detected = new Set()
+
+        /**
+         * Stealth contests by token ID, as a guard keeps them; dropped when
+         * the token leaves view
+         * @type {Map<string, {spotted: boolean|null}>}
+         */
+        this._stealthResults = new Map()
+
+        /**
+         * Suspicion meters by token ID, as a guard keeps them
+         * @type {Map<string, {value: number, x: number, y: number}>}
+         */
+        this._suspicion = new Map()
+
+        /**
+         * Time of the last detection pass
+         * @type {number|null}
+         */
+        this._lastTick = null
+
+        /**
+         * Detection and sweep interval handles
+         * @type {number|null}
+         */
+        this._loopInterval = null
+        this._sweepInterval = null
+    }
+
+    // ==========================================
+    // Static Methods
+    // ==========================================
+
+    /**
+     * Create a new sentry and save it
+     * @param {Object} data
+     * @returns {Promise<Sentry>}
+     */
+    static async create(data) {
+        const sentry = new Sentry(data)
+        sentry.syncToTile()
+        await sentry.save()
+        return sentry
+    }
+
+    /**
+     * Load a sentry from stored data
+     * @param {Object} data
+     * @returns {Sentry}
+     */
+    static fromData(data) {
+        return new Sentry(data)
+    }
+
+    /**
+     * Get all sentries for a scene
+     * @param {string} sceneId
+     * @returns {Sentry[]}
+     */
+    static getSceneSentries(sceneId) {
+        const scene = game.scenes.get(sceneId)
+        if (!scene) return []
+
+        return (scene.getFlag(MODULE_ID, Sentry.FLAG) || []).map(data => Sentry.fromData(data))
+    }
+
+    // ==========================================
+    // Properties
+    // ==========================================
+
+    /**
+     * Whether the sentry watches at all
+     * @returns {boolean}
+     */
+    get detectEnabled() {
+        return this.detectionRange > 0
+    }
+
+    /**
+     * The decorative tile, if it is on the viewed scene
+     * @returns {Tile|null}
+     */
+    get tile() {
+        return this.tileId ? canvas.tiles?.get(this.tileId) ?? null : null
+    }
+
+    /**
+     * Move the sentry to the center of its tile
+     * @returns {boolean} Whether the sentry has a tile
+     */
+    syncToTile() {
+        const doc = this.tile?.document
+        if (!doc) return false
+
+        this.x = doc.x + doc.width / 2
+        this.y = doc.y + doc.height / 2
+        this.tileOffset ??= (doc.rotation ?? 0) - this.facingDirection
+        return true
+    }
+
+    // ==========================================
+    // Running
+    // ==========================================
+
+    /**
+     * Start watching. Only the primary GM runs detection; every GM sees
+     * the marker
+     */
+    start() {
+        this.stop()
+        this.state = WAYPOINT_STATES.ACTIVE
+        this.updateVisual()
+
+        if (!isPrimaryGM() || !this.isActive) return
+
+        this._loopInterval = setInterval(() => {
+            if (this.detectEnabled && this.isActive && !game.paused) {
+                detectionScheduler.request(this)
+            }
+        }, 500)
+        this._startSweep()
+    }
+
+    /**
+     * Stop watching and forget what is in view
+     */
+    stop() {
+        clearInterval(this._loopInterval)
+        this._loopInterval = null
+        detectionScheduler.cancel(this)
+        this._stopSweep()
+
+        this._detected.clear()
+        this._stealthResults.clear()
+        this._suspicion.clear()
+        this._lastTick = null
+    }
+
+    /**
+     * Turn through the sweep headings, and the tile with them
+     * @private
+     */
+    _startSweep() {
+        const angles = this.getSweepAngles()
+        if (angles.length === 0) return
+
+        let index = 0
+        const look = () => {
+            const heading = angles[index++ % angles.length]
+            this.setLookDirection(heading)
+
+            const tile = this.tile
+            if (tile && this.tileOffset !== null) {
+                tile.document.update({ rotation: heading + this.tileOffset })
+                    .catch(err => debug('Sentry tile rotation failed:', err))
+            }
+        }
+        look()
+
+        const interval = Math.max(250, (Number(this.sweep.interval) || 1.5) * 1000)
+        this._sweepInterval = setInterval(() => {
+            if (this.isActive && !game.paused) look()
+        }, interval)
+    }
+
+    /**
+     * Stop the sweep and point the cone back at the facing
+     * @private
+     */
+    _stopSweep() {
+        if (!this._sweepInterval) return
+        clearInterval(this._sweepInterval)
+        this._sweepInterval = null
+        this.setLookDirection(null)
+    }
+
+    // ==========================================
+    // Detection
+    // ==========================================
+
+    /**
+     * Run a detection pass. Called by the detection scheduler, which times
+     * it, so nothing here waits on the server
+     */
+    _runDetection() {
+        const now = Date.now()
+        const elapsed = this._lastTick ? (now - this._lastTick) / 1000 : SuspicionMeter.FIRST_TICK
+        this._lastTick = now
+
+        const range = this.detectionRadiusPixels
+        const inView = this.detectPlayerTokens().filter(token => !token.document.hidden
+            && Lighting.canPerceive(null, this, token, range)
+            && PatrolDetection._hasLineOfSight(this, token.center)
+            && clearanceSystem.check(this, token).result !== CLEARANCE_RESULTS.IGNORE)
+
+        const ids = new Set(inView.map(t => t.id))
+        for (const id of this._stealthResults.keys()) {
+            if (!ids.has(id)) this._stealthResults.delete(id)
+        }
+        for (const id of this._detected) {
+            if (!ids.has(id)) this._detected.delete(id)
+        }
+
+        const spotted = []
+        for (const token of inView) {
+            if (this._detected.has(token.id) || this._contestStealth(token)) spotted.push(token)
+        }
+
+        for (const token of this._fillSuspicion(spotted, elapsed)) {
+            if (this._detected.has(token.id)) continue
+            this._detected.add(token.id)
+            this._handleDetection(token).catch(err => error(`Sentry ${this.name} failed to report ${token.name}:`, err))
+        }
+    }
+
+    /**
+     * Contest the sentry's perception against a token's Stealth, once
+     * while the token stays in view. The sentry stands in for the guard.
+     * As for a guard, the contest is not waited on
+     * @param {Token} token
+     * @returns {boolean} Whether the sentry has noticed the token so far
+     * @private
+     */
+    _contestStealth(token) {
+        if (!StealthContest.isEnabled || !token.actor) return true
+
+        let contest = this._stealthResults.get(token.id)
+        if (!contest) {
+            contest = { spotted: null }
+            this._stealthResults.set(token.id, contest)
+            StealthContest.contest(this, token, { waypoint: this, perception: this.perception })
+                .then(result => { contest.spotted = result.spotted })
+                .catch(err => {
+                    error('Stealth contest failed, treating the token as seen:', err)
+                    contest.spotted = true
+                })
+        }
+        return !!contest.spotted
+    }
+
+    /**
+     * Fill the suspicion meters of the tokens the sentry noticed and drain
+     * the rest
+     * @param {Token[]} tokens
+     * @param {number} elapsed - Seconds since the last pass
+     * @returns {Token[]} Tokens whose meter is full
+     * @private
+     */
+    _fillSuspicion(tokens, elapsed) {
+        if (!SuspicionMeter.isEnabled) return tokens
+
+        return SuspicionMeter.update(this._suspicion, tokens, {
+            waypoint: this,
+            detected: this._detected,
+            elapsed
+        }).sure
+    }
+
+    /**
+     * Report a token the sentry spotted
+     * @param {Token} token
+     */
+    async _handleDetection(token) {
+        debug(`Sentry ${this.name} spotted ${token.name}`)
+
+        switch (this.detectionAction) {
+            case SENTRY_ACTIONS.NOTIFY:
+                ui.notifications.warn(game.i18n.format(`${MODULE_ID}.sentries.spotted`, {
+                    sentry: this.name,
+                    token: token.name
+                }))
+                break
+
+            case SENTRY_ACTIONS.ALERT:
+                ui.notifications.warn(game.i18n.format(`${MODULE_ID}.sentries.alarm`, {
+                    sentry: this.name,
+                    token: token.name
+                }))
+                this.alertPatrols(token)
+
+                // Reinforcements answer a sentry as they answer a guard
+                Hooks.callAll(`${MODULE_ID}.alert`, this, [token])
+                break
+
+            case SENTRY_ACTIONS.MACRO:
+                await this._executeMacro(token)
+                break
+        }
+
+        Hooks.callAll('rnkPatrol.sentryDetection', this, token)
+    }
+
+    /**
+     * Send the patrols within the alert radius to where a token was spotted.
+     * Patrols that do not investigate go straight to Alert
+     * @param {Token} token
+     * @returns {Patrol[]} Patrols that answered
+     */
+    alertPatrols(token) {
+        const reach = this.alertRadius * canvas.grid.size
+        const point = { x: token.center.x, y: token.center.y }
+
+        const alerted = []
+        for (const patrol of game.rnkPatrol?.manager?.getPatrols() ?? []) {
+            const guard = patrol.token
+            if (!patrol.isActive || !guard) continue
+            if (reach > 0 && this.distanceTo(guard.center) > reach) continue
+
+            if (patrol.investigateCycles > 0) {
+                patrol.investigate(point, { tokenId: token.id, reason: 'sentry' })
+            } else {
+                patrol.raiseAlert(ALERT_STATES.ALERT, { reason: 'sentry', target: token })
+            }
+            alerted.push(patrol)
+        }
+
+        debug(`Sentry ${this.name} alerted ${alerted.length} patrols`)
+        return alerted
+    }
+
+    /**
+     * Run the detection macro
+     * @param {Token} token
+     * @private
+     */
+    async _executeMacro(token) {
+        if (!this.detectionMacro) return
+
+        const macro = game.macros.get(this.detectionMacro)
+        if (!macro) {
+            warn(`Sentry macro not found: ${this.detectionMacro}`)
+            return
+        }
+
+        await macro.execute({
+            sentry: this,
+            detectedToken: token
+        })
+    }
+
+    // ==========================================
+    // Interaction
+    // ==========================================
+
+    /**
+     * Clicking a sentry opens its settings rather than adding it to a route
+     * @override
+     */
+    _onPointerDown() {
+        if (!game.user.isGM) return
+        Hooks.callAll('rnkPatrol.sentryClicked', this)
+    }
+
+    // ==========================================
+    // Persistence
+    // ==========================================
+
+    /**
+     * Convert to plain object for storage
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            detectionAction: this.detectionAction,
+            detectionMacro: this.detectionMacro,
+            alertRadius: this.alertRadius,
+            perception: this.perception,
+            disableDC: this.disableDC,
+            tileId: this.tileId,
+            tileOffset: this.tileOffset,
+            faction: this.faction,
+            clearances: this.clearances
+        }
+    }
+}
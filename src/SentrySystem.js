@@ -0,0 +1,477 @@
+/**
+ * RNK Patrol - Sentry System
+ *
+ * Loads the sentries of the viewed scene and keeps them running, and
+ * handles the ways players get rid of them: a check made next to the
+ * sentry (/sentry disable [total]) or a macro calling disable().
+ * A check that fails badly trips the sentry instead.
+ *
+ * GMs place sentries with /sentry add, on the selected tile if there is
+ * one, and click a sentry's marker to change it.
+ *
+ * @module SentrySystem
+ */
+
+import { MODULE_ID, debug, warn, isPrimaryGM, SWEEP_MODES } from './main.js'
+import { Sentry, SENTRY_ACTIONS } from './Sentry.js'
+import { PatrolSocket } from './PatrolSocket.js'
+
+/**
+ * SentrySystem - the sentries on the viewed scene
+ */
+export class SentrySystem {
+
+    /**
+     * Grid squares from a sentry within which a token can try to disable it
+     * @type {number}
+     */
+    static REACH = 1.5
+
+    /**
+     * A check that misses the DC by this much trips the sentry
+     * @type {number}
+     */
+    static TRIP_MARGIN = 5
+
+    constructor() {
+        /**
+         * Sentries on the viewed scene, by ID
+         * @type {Map<string, Sentry>}
+         */
+        this._sentries = new Map()
+    }
+
+    /**
+     * Initialize the sentry system
+     */
+    initialize() {
+        debug('SentrySystem initialized')
+
+        Hooks.on('canvasReady', () => this.load())
+        Hooks.on('canvasTearDown', () => this.unload())
+        Hooks.on('updateScene', (scene, changes) => {
+            const flags = changes.flags?.[MODULE_ID] ?? {}
+            if (scene.id === canvas.scene?.id && ('sentries' in flags || '-=sentries' in flags)) this.load()
+        })
+        Hooks.on('updateTile', tileDoc => {
+            for (const sentry of this._sentries.values()) {
+                if (sentry.tileId !== tileDoc.id) continue
+                sentry.syncToTile()
+                sentry.updateVisual()
+            }
+        })
+        Hooks.on('chatMessage', this._onChatCommand.bind(this))
+        Hooks.on('rnkPatrol.sentryClicked', sentry => this.configure(sentry))
+
+        // The canvas was drawn before the module finished loading
+        if (canvas.ready) this.load()
+    }
+
+    // ==========================================
+    // Scene
+    // ==========================================
+
+    /**
+     * Load and start the viewed scene's sentries
+     */
+    load() {
+        this.unload()
+
+        const sceneId = canvas.scene?.id
+        if (!sceneId) return
+
+        for (const sentry of Sentry.getSceneSentries(sceneId)) {
+            sentry.syncToTile()
+            this._sentries.set(sentry.id, sentry)
+            sentry.start()
+        }
+
+        debug(`Loaded ${this._sentries.size} sentries`)
+    }
+
+    /**
+     * Stop the sentries and remove their markers
+     */
+    unload() {
+        for (const sentry of this._sentries.values()) {
+            sentry.stop()
+            sentry.removeVisual()
+        }
+        this._sentries.clear()
+    }
+
+    /**
+     * Sentries on the viewed scene
+     * @returns {Sentry[]}
+     */
+    getSentries() {
+        return Array.from(this._sentries.values())
+    }
+
+    /**
+     * @param {string} sentryId
+     * @returns {Sentry|null}
+     */
+    getSentry(sentryId) {
+        return this._sentries.get(sentryId) ?? null
+    }
+
+    /**
+     * The closest working sentry within reach of a point
+     * @param {Point} point
+     * @param {number} [reach] - Grid squares
+     * @returns {Sentry|null}
+     */
+    findNearest(point, reach = SentrySystem.REACH) {
+        let nearest = null
+        for (const sentry of this._sentries.values()) {
+            if (sentry.disabled) continue
+            const distance = sentry.gridDistanceTo(point)
+            if (distance <= reach && (!nearest || distance < nearest.gridDistanceTo(point))) nearest = sentry
+        }
+        return nearest
+    }
+
+    // ==========================================
+    // Editing
+    // ==========================================
+
+    /**
+     * Place a sentry on the viewed scene. The scene update reloads the
+     * sentries, so the new one starts at once
+     * @param {Object} data - Sentry data; tileId binds it to a tile
+     * @returns {Promise<Sentry|null>}
+     */
+    async create(data = {}) {
+        if (!game.user.isGM) return null
+        return Sentry.create({ sceneId: canvas.scene?.id, ...data })
+    }
+
+    /**
+     * Change a sentry and save it
+     * @param {string} sentryId
+     * @param {Object} changes
+     * @returns {Promise<Sentry|null>}
+     */
+    async update(sentryId, changes = {}) {
+        const sentry = this.getSentry(sentryId)
+        if (!sentry || !game.user.isGM) return null
+
+        const updated = new Sentry({ ...sentry.toJSON(), ...changes })
+        updated.syncToTile()
+        await updated.save()
+        return updated
+    }
+
+    /**
+     * Remove a sentry
+     * @param {string} sentryId
+     */
+    async remove(sentryId) {
+        const sentry = this.getSentry(sentryId)
+        if (!sentry || !game.user.isGM) return
+
+        sentry.stop()
+        await sentry.delete()
+    }
+
+    // ==========================================
+    // Disabling
+    // ==========================================
+
+    /**
+     * Switch a sentry off. A player's call becomes an attempt on the
+     * primary GM, who rolls the check for the named token; it must be one
+     * of the player's tokens within reach of the sentry
+     * @param {string} sentryId
+     * @param {Object} [options]
+     * @param {string} [options.tokenId] - Token that disabled it
+     */
+    async disable(sentryId, { tokenId = null } = {}) {
+        if (!game.user.isGM) {
+            PatrolSocket.broadcastSentryDisable({ sentryId, tokenId })
+            return
+        }
+
+        const sentry = this.getSentry(sentryId)
+        if (!sentry || sentry.disabled) return
+
+        await this.update(sentryId, { disabled: true })
+        ui.notifications.info(game.i18n.format(`${MODULE_ID}.sentries.disabled`, { sentry: sentry.name }))
+        Hooks.callAll('rnkPatrol.sentryDisabled', sentry, tokenId)
+    }
+
+    /**
+     * Switch a sentry back on
+     * @param {string} sentryId
+     */
+    async enable(sentryId) {
+        await this.update(sentryId, { disabled: false })
+    }
+
+    /**
+     * Try to disable the sentry next to a token with a check. Without a
+     * total, the primary GM rolls a plain d20 to chat. A total a player
+     * gives waits for the GM to accept it
+     * @param {Token} token
+     * @param {number} [total] - Result of the check the GM called for
+     * @returns {Promise<boolean>} Whether a sentry was in reach
+     */
+    async attemptDisable(token, total) {
+        const sentry = token ? this.findNearest(token.center) : null
+        if (!sentry) {
+            ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.sentries.noneInReach`))
+            return false
+        }
+        if (sentry.disableDC <= 0) {
+            ui.notifications.warn(game.i18n.format(`${MODULE_ID}.sentries.cannotDisable`, { sentry: sentry.name }))
+            return true
+        }
+
+        if (!isPrimaryGM()) {
+            PatrolSocket.broadcastSentryDisable({ sentryId: sentry.id, tokenId: token.id, total })
+            return true
+        }
+
+        if (!Number.isFinite(total)) total = await this._rollCheck(token, sentry)
+        await this.resolveCheck({ sentryId: sentry.id, tokenId: token.id, total })
+        return true
+    }
+
+    /**
+     * Roll a plain d20 check against a sentry to chat
+     * @param {Token} token
+     * @param {Sentry} sentry
+     * @returns {Promise<number>}
+     * @private
+     */
+    async _rollCheck(token, sentry) {
+        const roll = await new Roll('1d20').evaluate()
+        await roll.toMessage({
+            speaker: ChatMessage.getSpeaker({ token: token.document }),
+            flavor: game.i18n.format(`${MODULE_ID}.sentries.checkFlavor`, { sentry: sentry.name })
+        })
+        return roll.total
+    }
+
+    /**
+     * Settle a check against a sentry, on the primary GM
+     * @param {Object} payload
+     * @param {string} payload.sentryId
+     * @param {string} payload.tokenId
+     * @param {number} payload.total
+     */
+    async resolveCheck({ sentryId, tokenId, total }) {
+        const sentry = this.getSentry(sentryId)
+        const token = canvas.tokens?.get(tokenId)
+        if (!sentry || !token || sentry.disabled) return
+
+        // A DC of 0 rules checks out; the attempt does nothing
+        if (sentry.disableDC <= 0) return
+
+        let outcome = 'failed'
+        if (total >= sentry.disableDC) outcome = 'succeeded'
+        else if (sentry.disableDC - total >= SentrySystem.TRIP_MARGIN) outcome = 'tripped'
+
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: token.document }),
+            content: game.i18n.format(`${MODULE_ID}.sentries.check.${outcome}`, {
+                token: token.name,
+                sentry: sentry.name,
+                total
+            })
+        })
+
+        if (outcome === 'succeeded') await this.disable(sentryId, { tokenId })
+        else if (outcome === 'tripped' && sentry.isActive) await sentry._handleDetection(token)
+    }
+
+    /**
+     * Handle a player's request to disable a sentry, on the primary GM.
+     * The token must belong to the sender and stand within reach, and the
+     * sentry must allow checks. Without a total the check is rolled here;
+     * a total the player gives is put to the GM first
+     * @param {Object} payload - See resolveCheck
+     * @param {string} userId - The sending user
+     */
+    async receiveDisable({ sentryId, tokenId, total }, userId) {
+        const sentry = this.getSentry(sentryId)
+        const token = tokenId ? canvas.tokens?.get(tokenId) : null
+        const user = game.users.get(userId)
+
+        const allowed = sentry && token && user
+            && token.document.testUserPermission(user, 'OWNER')
+            && sentry.gridDistanceTo(token.center) <= SentrySystem.REACH
+        if (!allowed) {
+            warn(`Rejected sentry disable from ${user?.name ?? userId}: no token of theirs within reach`)
+            return
+        }
+        if (sentry.disabled || sentry.disableDC <= 0) return
+
+        if (!Number.isFinite(total)) {
+            total = await this._rollCheck(token, sentry)
+        } else if (!(await this._confirmTotal(user, token, sentry, total))) {
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker({ token: token.document }),
+                content: game.i18n.format(`${MODULE_ID}.sentries.check.refused`, {
+                    token: token.name,
+                    sentry: sentry.name,
+                    total
+                })
+            })
+            return
+        }
+
+        await this.resolveCheck({ sentryId, tokenId, total })
+    }
+
+    /**
+     * Ask the GM to accept a check total a player typed in
+     * @param {User} user
+     * @param {Token} token
+     * @param {Sentry} sentry
+     * @param {number} total
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _confirmTotal(user, token, sentry, total) {
+        const escape = foundry.utils.escapeHTML
+        return Dialog.confirm({
+            title: game.i18n.format(`${MODULE_ID}.sentries.confirm.title`, { sentry: sentry.name }),
+            content: `<p>${game.i18n.format(`${MODULE_ID}.sentries.confirm.content`, {
+                user: escape(user.name),
+                token: escape(token.name),
+                sentry: escape(sentry.name),
+                total,
+                dc: sentry.disableDC
+            })}</p>`,
+            yes: () => true,
+            no: () => false,
+            defaultYes: false
+        })
+    }
+
+    // ==========================================
+    // Commands and Settings
+    // ==========================================
+
+    /**
+     * Handle the /sentry chat command:
+     * - /sentry disable [total] - anyone, next to a sentry
+     * - /sentry add [name] - GM, on the selected tile or the middle of the view
+     * @param {ChatLog} chatLog
+     * @param {string} message
+     * @returns {boolean|void} False to keep the command out of chat
+     * @private
+     */
+    _onChatCommand(chatLog, message) {
+        const match = message.trim().match(/^\/sentry(?:\s+(\w+))?(?:\s+(.+))?$/i)
+        if (!match) return
+
+        const [, command = '', argument = ''] = match
+        switch (command.toLowerCase()) {
+            case 'disable':
+                this.attemptDisable(canvas.tokens?.controlled[0], argument ? Number(argument) : undefined)
+                break
+
+            case 'add': {
+                if (!game.user.isGM) break
+                const tile = canvas.tiles?.controlled[0]
+                const { x, y } = tile ? tile.center : canvas.stage.pivot
+                this.create({ x, y, tileId: tile?.id ?? null, name: argument || undefined })
+                break
+            }
+
+            default:
+                ui.notifications.info(game.i18n.localize(`${MODULE_ID}.sentries.usage`))
+        }
+        return false
+    }
+
+    /**
+     * Open a sentry's settings
+     * @param {Sentry} sentry
+     */
+    configure(sentry) {
+        if (!game.user.isGM) return
+
+        const i18n = key => game.i18n.localize(`${MODULE_ID}.sentries.config.${key}`)
+        const field = (name, value, type = 'number') => `
+            <div class="form-group">
+                <label>${i18n(name)}</label>
+                <input type="${type}" name="${name}" value="${foundry.utils.escapeHTML(String(value ?? ''))}">
+            </div>`
+        const select = (name, value, options) => `
+            <div class="form-group">
+                <label>${i18n(name)}</label>
+                <select name="${name}">
+                    ${options.map(([key, label]) => `<option value="${key}" ${key === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>`
+
+        const content = `
+            <form class="rnk-patrol-sentry-config">
+                ${field('name', sentry.name, 'text')}
+                ${field('detectionRange', sentry.detectionRange)}
+                ${field('facingDirection', sentry.facingDirection)}
+                ${field('visionAngle', sentry.visionAngle)}
+                ${select('sweepMode', sentry.sweep.mode, Object.values(SWEEP_MODES).map(mode => [mode, i18n(`sweepModes.${mode}`)]))}
+                ${field('sweepArc', sentry.sweep.arc)}
+                ${field('sweepAngles', sentry.sweep.angles.join(', '), 'text')}
+                ${select('detectionAction', sentry.detectionAction, Object.values(SENTRY_ACTIONS).map(action => [action, i18n(`actions.${action}`)]))}
+                ${select('detectionMacro', sentry.detectionMacro ?? '', [['', '-'], ...game.macros.map(m => [m.id, foundry.utils.escapeHTML(m.name)])])}
+                ${field('alertRadius', sentry.alertRadius)}
+                ${field('perception', sentry.perception)}
+                ${field('disableDC', sentry.disableDC)}
+                ${field('faction', sentry.faction, 'text')}
+                <div class="form-group">
+                    <label>${i18n('disabled')}</label>
+                    <input type="checkbox" name="disabled" ${sentry.disabled ? 'checked' : ''}>
+                </div>
+            </form>`
+
+        new Dialog({
+            title: game.i18n.format(`${MODULE_ID}.sentries.config.title`, { sentry: sentry.name }),
+            content,
+            buttons: {
+                save: {
+                    icon: '<i class="fas fa-save"></i>',
+                    label: i18n('save'),
+                    callback: html => {
+                        const form = (html[0] ?? html).querySelector('form')
+                        const value = name => form.elements[name].value
+                        const number = (name, fallback) => Number.isFinite(Number(value(name))) ? Number(value(name)) : fallback
+                        this.update(sentry.id, {
+                            name: value('name').trim() || sentry.name,
+                            detectionRange: number('detectionRange', sentry.detectionRange),
+                            facingDirection: number('facingDirection', sentry.facingDirection),
+                            visionAngle: number('visionAngle', sentry.visionAngle),
+                            sweep: {
+                                ...sentry.sweep,
+                                mode: value('sweepMode'),
+                                arc: number('sweepArc', sentry.sweep.arc),
+                                angles: value('sweepAngles').split(',').map(Number).filter(a => a || a === 0)
+                            },
+                            detectionAction: value('detectionAction'),
+                            detectionMacro: value('detectionMacro') || null,
+                            alertRadius: number('alertRadius', sentry.alertRadius),
+                            perception: number('perception', sentry.perception),
+                            disableDC: number('disableDC', sentry.disableDC),
+                            faction: value('faction').trim(),
+                            disabled: form.elements.disabled.checked
+                        })
+                    }
+                },
+                remove: {
+                    icon: '<i class="fas fa-trash"></i>',
+                    label: i18n('remove'),
+                    callback: () => this.remove(sentry.id)
+                }
+            },
+            default: 'save'
+        }).render(true)
+    }
+}
+
+// Export singleton
+export const sentrySystem = new SentrySystem()
@@ -0,0 +1,189 @@
+/**
+ * RNK Patrol - Stealth Contest
+ *
+ * Optional roll-based detection. A token inside a guard's detection area
+ * is only spotted if the guard's perception (the passive score, or a
+ * rolled check) meets the token's stealth roll. Distance, the edge of the
+ * vision cone and the light the target stands in (as the guard's senses
+ * see it) give the guard advantage or disadvantage. Scores and rolls come
+ * from the system adapter, and each contest is whispered to the GMs.
+ *
+ * @module StealthContest
+ */
+
+import { MODULE_ID, debug } from './main.js'
+import { getSetting } from './settings.js'
+import { getAdapter } from './systemAdapters/index.js'
+import { Lighting } from './Lighting.js'
+
+/**
+ * StealthContest - perception against stealth for patrol detection
+ */
+export class StealthContest {
+
+    /**
+     * Detection modes
+     * @type {Object<string, string>}
+     */
+    static MODES = {
+        OFF: 'off',         // Geometry only: in range and cone means spotted
+        PASSIVE: 'passive', // Passive perception against a stealth roll
+        ROLLED: 'rolled'    // Perception roll against a stealth roll
+    }
+
+    /**
+     * Fraction of the detection range past which the target counts as far
+     * @type {number}
+     */
+    static FAR_RATIO = 0.5
+
+    /**
+     * Fraction of the half cone past which the target is at the edge of vision
+     * @type {number}
+     */
+    static CONE_EDGE_RATIO = 0.75
+
+    /**
+     * Passive score change for advantage or disadvantage
+     * @type {number}
+     */
+    static PASSIVE_EDGE = 5
+
+    /**
+     * Configured detection mode
+     * @returns {string}
+     */
+    static get mode() {
+        return getSetting('stealthDetection', StealthContest.MODES.OFF)
+    }
+
+    /**
+     * Check whether detection is contested at all
+     * @returns {boolean}
+     */
+    static get isEnabled() {
+        return StealthContest.mode !== StealthContest.MODES.OFF
+    }
+
+    /**
+     * Contest a guard's perception against a token's stealth
+     * @param {Token|Sentry} guard - Token doing the looking, or a sentry
+     * @param {Token} target - Token trying to stay unseen
+     * @param {Object} context
+     * @param {Waypoint|null} context.waypoint - Supplies the range and vision cone
+     * @param {number|null} context.perception - Passive score for a guard without an actor
+     * @returns {Promise<{spotted: boolean, perception: number, stealth: number, edge: number, factors: Object[]}>}
+     */
+    static async contest(guard, target, { waypoint = null, perception: score = null } = {}) {
+        const adapter = getAdapter()
+        const factors = StealthContest.getFactors(guard, target, waypoint)
+        const edge = StealthContest._combineEdge(factors)
+
+        let perception
+        let perceptionRoll = null
+        if (StealthContest.mode === StealthContest.MODES.ROLLED) {
+            perceptionRoll = score === null
+                ? await adapter.rollPerception(guard.actor, { edge })
+                : await adapter.rollPerceptionScore(score, { edge })
+            perception = perceptionRoll.total
+        } else {
+            perception = (score ?? adapter.getPerception(guard.actor)) + edge * StealthContest.PASSIVE_EDGE
+        }
+
+        const stealthRoll = await adapter.rollStealth(target.actor)
+
+        // Ties go to the guard
+        const result = {
+            spotted: perception >= stealthRoll.total,
+            perception,
+            stealth: stealthRoll.total,
+            edge,
+            factors
+        }
+
+        debug(`${guard.name} perception ${perception} vs ${target.name} stealth ${stealthRoll.total}: ${result.spotted ? 'spotted' : 'unnoticed'}`)
+
+        await StealthContest._report(guard, target, result, perceptionRoll, stealthRoll)
+        Hooks.callAll('rnkPatrol.stealthContest', guard, target, result)
+
+        return result
+    }
+
+    /**
+     * Circumstances that help (+1) or hinder (-1) the guard
+     * @param {Token|Sentry} guard
+     * @param {Token} target
+     * @param {Waypoint|null} waypoint
+     * @returns {Array<{key: string, edge: number}>}
+     */
+    static getFactors(guard, target, waypoint = null) {
+        const factors = []
+        const point = target.center
+
+        const distance = Math.hypot(point.x - guard.center.x, point.y - guard.center.y)
+        const range = waypoint?.detectionRadiusPixels ?? 0
+        if (range > 0) {
+            if (distance > range * StealthContest.FAR_RATIO) {
+                factors.push({ key: 'far', edge: -1 })
+            } else if (distance <= canvas.grid.size * 1.5) {
+                factors.push({ key: 'close', edge: 1 })
+            }
+        }
+
+        if (waypoint && waypoint.getConeOffset(point) > StealthContest.CONE_EDGE_RATIO) {
+            factors.push({ key: 'coneEdge', edge: -1 })
+        }
+
+        const light = Lighting.getPerceivedLevel(Lighting.getLightLevel(point), distance, Lighting.getSenses(guard))
+        if (light === Lighting.LEVELS.DIM) factors.push({ key: 'dim', edge: -1 })
+        else if (light === Lighting.LEVELS.DARK) factors.push({ key: 'dark', edge: -1 })
+
+        return factors
+    }
+
+    /**
+     * Advantage and disadvantage cancel out rather than stack
+     * @param {Array<{edge: number}>} factors
+     * @returns {number} 1, 0 or -1
+     * @private
+     */
+    static _combineEdge(factors) {
+        const advantage = factors.some(f => f.edge > 0)
+        const disadvantage = factors.some(f => f.edge < 0)
+        if (advantage === disadvantage) return 0
+        return advantage ? 1 : -1
+    }
+
+    /**
+     * Whisper the contest to the GMs
+     * @param {Token} guard
+     * @param {Token} target
+     * @param {Object} result
+     * @param {Roll|null} perceptionRoll - Null for passive perception
+     * @param {Roll} stealthRoll
+     * @private
+     */
+    static async _report(guard, target, result, perceptionRoll, stealthRoll) {
+        const i18n = key => game.i18n.localize(`${MODULE_ID}.detection.stealth.${key}`)
+
+        const edge = result.edge > 0 ? i18n('advantage') : result.edge < 0 ? i18n('disadvantage') : ''
+        const factors = result.factors.map(f => i18n(`factors.${f.key}`)).join(', ')
+        const perceptionSource = perceptionRoll ? perceptionRoll.formula : i18n('passive')
+
+        await ChatMessage.create({
+            content: `<div class="rnk-patrol-stealth ${result.spotted ? 'spotted' : 'unnoticed'}">
+                <p><strong>${guard.name}</strong> vs <strong>${target.name}</strong></p>
+                <p>${i18n('perception')}: <strong>${result.perception}</strong> (${perceptionSource}${edge ? `, ${edge}` : ''})</p>
+                <p>${i18n('stealth')}: <strong>${result.stealth}</strong> (${stealthRoll.formula})</p>
+                ${factors ? `<p><em>${factors}</em></p>` : ''}
+                <p><strong>${i18n(result.spotted ? 'spotted' : 'unnoticed')}</strong></p>
+            </div>`,
+            whisper: game.users.filter(u => u.isGM).map(u => u.id),
+            flags: {
+                [MODULE_ID]: {
+                    stealthContest: true
+                }
+            }
+        })
+    }
+}
@@ -0,0 +1,263 @@
+/**
+ * RNK Patrol - Suspicion Meter
+ *
+ * Guards grow suspicious before they are sure. Each guard keeps a meter
+ * per target that fills while the target is in view and drains once it
+ * is gone, and detection only fires when the meter is full. It fills
+ * fastest for a target that is close, well lit, moving and straight ahead.
+ * The meter shows as a bar above the guard token: always for the GM, and
+ * optionally for the players who own the targets.
+ *
+ * @module SuspicionMeter
+ */
+
+import { getSetting } from './settings.js'
+import { Lighting } from './Lighting.js'
+import { PatrolSocket } from './PatrolSocket.js'
+
+/**
+ * SuspicionMeter - fill rates and the bar above the guard
+ */
+export class SuspicionMeter {
+
+    /**
+     * Who sees the bar
+     * @type {Object<string, string>}
+     */
+    static DISPLAY = {
+        OFF: 'off',
+        GM: 'gm',
+        PLAYERS: 'players'
+    }
+
+    /**
+     * Meter value at which the guard turns suspicious
+     * @type {number}
+     */
+    static SUSPICIOUS_AT = 0.25
+
+    /**
+     * Seconds credited to a target's first tick in view
+     * @type {number}
+     */
+    static FIRST_TICK = 0.5
+
+    /**
+     * Most seconds one tick can fill, so sparse ticks do not jump to full
+     * @type {number}
+     */
+    static MAX_TICK = 1
+
+    /**
+     * The meter drains this many times slower than it fills at full rate
+     * @type {number}
+     */
+    static DRAIN_RATIO = 2
+
+    /**
+     * Pixels a target must move between ticks to count as moving
+     * @type {number}
+     */
+    static MOVE_THRESHOLD = 4
+
+    /**
+     * Name of the bar graphic added to the guard token
+     * @type {string}
+     */
+    static BAR_NAME = 'rnkPatrolSuspicion'
+
+    /**
+     * Last meters sent to other clients, by patrol ID
+     * @type {Map<string, string>}
+     * @private
+     */
+    static _sent = new Map()
+
+    /**
+     * Seconds for the meter to fill at full rate; 0 detects at once
+     * @returns {number}
+     */
+    static get fillTime() {
+        return Number(getSetting('suspicionTime', 2)) || 0
+    }
+
+    /**
+     * Check whether detection builds up at all
+     * @returns {boolean}
+     */
+    static get isEnabled() {
+        return SuspicionMeter.fillTime > 0
+    }
+
+    /**
+     * Who sees the bar, one of DISPLAY
+     * @returns {string}
+     */
+    static get display() {
+        return getSetting('suspicionDisplay', SuspicionMeter.DISPLAY.GM)
+    }
+
+    /**
+     * Share of the meter filled per second for a target in view
+     * @param {Token|null} guard - Null for a sentry
+     * @param {Token} target
+     * @param {Waypoint} waypoint - Supplies the range and vision cone
+     * @param {boolean} moved - Whether the target moved since the last tick
+     * @returns {number}
+     */
+    static getFillRate(guard, target, waypoint, moved) {
+        const point = target.center
+        const origin = guard?.center ?? waypoint
+        const distance = Math.hypot(point.x - origin.x, point.y - origin.y)
+
+        // Adjacent fills at full rate, the edge of range at a quarter
+        const range = waypoint?.detectionRadiusPixels ?? 0
+        const near = range > 0 ? 1 - 0.75 * Math.min(1, distance / range) : 1
+
+        // Straight ahead at full rate, the edge of the cone at half
+        const ahead = waypoint ? 1 - 0.5 * Math.min(1, waypoint.getConeOffset(point)) : 1
+
+        // Without a guard token (a sentry) there are no special senses, but
+        // the light still counts
+        const level = Lighting.isEnabled
+            ? Lighting.getPerceivedLevel(Lighting.getLightLevel(point), distance, Lighting.getSenses(guard))
+            : Lighting.LEVELS.BRIGHT
+        const light = Lighting.RANGE_FACTORS[level]
+
+        const motion = moved ? 1 : 0.5
+
+        return near * ahead * light * motion / SuspicionMeter.fillTime
+    }
+
+    /**
+     * Share of the meter lost per second out of view
+     * @returns {number}
+     */
+    static get drainRate() {
+        return 1 / (SuspicionMeter.fillTime * SuspicionMeter.DRAIN_RATIO)
+    }
+
+    /**
+     * Fill the meters of the tokens in view and drain the rest. Tokens
+     * already detected stay full while they remain in view. Guards and
+     * sentries both keep their meters this way
+     * @param {Map<string, {value: number, x: number, y: number}>} meters - Updated in place
+     * @param {Token[]} tokens - Tokens the watcher could spot
+     * @param {Object} options
+     * @param {Token|null} options.guard - Token doing the looking, if any
+     * @param {Waypoint} options.waypoint - Supplies the range and vision cone
+     * @param {Set<string>} options.detected - IDs of tokens already detected
+     * @param {number} options.elapsed - Seconds since the last tick
+     * @returns {{sure: Token[], suspicious: Token[]}} Tokens whose meter is full, and those past SUSPICIOUS_AT
+     */
+    static update(meters, tokens, { guard = null, waypoint = null, detected = new Set(), elapsed = 0 } = {}) {
+        const sure = []
+        const suspicious = []
+        const fillSeconds = Math.min(elapsed, SuspicionMeter.MAX_TICK)
+        for (const token of tokens) {
+            const { x, y } = token.center
+            const entry = meters.get(token.id)
+
+            let value = 1
+            if (!detected.has(token.id)) {
+                const moved = !entry || Math.hypot(x - entry.x, y - entry.y) > SuspicionMeter.MOVE_THRESHOLD
+                const rate = SuspicionMeter.getFillRate(guard, token, waypoint, moved)
+                value = Math.min(1, (entry?.value ?? 0) + rate * fillSeconds)
+            }
+            meters.set(token.id, { value, x, y })
+
+            if (value >= 1) sure.push(token)
+            else if (value >= SuspicionMeter.SUSPICIOUS_AT) suspicious.push(token)
+        }
+
+        // Out of view, the meter drains for all the time that passed
+        const inView = new Set(tokens.map(t => t.id))
+        for (const [id, entry] of meters) {
+            if (inView.has(id)) continue
+            entry.value -= SuspicionMeter.drainRate * elapsed
+            if (entry.value <= 0) meters.delete(id)
+        }
+
+        return { sure, suspicious }
+    }
+
+    // ==========================================
+    // Display
+    // ==========================================
+
+    /**
+     * Show a patrol's meters above its token, here and on other clients
+     * @param {Patrol} patrol
+     */
+    static show(patrol) {
+        const token = patrol.token
+        if (!token) return
+
+        const meters = {}
+        for (const [id, entry] of patrol._suspicion) {
+            meters[id] = Math.round(entry.value * 20) / 20
+        }
+
+        const display = SuspicionMeter.display
+        SuspicionMeter.drawBar(token, display === SuspicionMeter.DISPLAY.OFF ? 0 : Math.max(0, ...Object.values(meters)))
+
+        // Only send when the rounded meters change
+        const key = JSON.stringify(meters)
+        if (SuspicionMeter._sent.get(patrol.id) === key) return
+        SuspicionMeter._sent.set(patrol.id, key)
+
+        PatrolSocket.broadcastSuspicion({ tokenId: token.id, meters, display })
+    }
+
+    /**
+     * Draw meters sent by the primary GM. GMs see the fullest meter;
+     * players only see meters for tokens they own, if allowed
+     * @param {Object} payload
+     * @param {string} payload.tokenId - Guard token
+     * @param {Object<string, number>} payload.meters - Meter value by target token ID
+     * @param {string} payload.display
+     */
+    static receive({ tokenId, meters = {}, display }) {
+        const token = canvas.tokens?.get(tokenId)
+        if (!token) return
+
+        let values = []
+        if (game.user.isGM) {
+            if (display !== SuspicionMeter.DISPLAY.OFF) values = Object.values(meters)
+        } else if (display === SuspicionMeter.DISPLAY.PLAYERS) {
+            values = Object.entries(meters)
+                .filter(([id]) => canvas.tokens.get(id)?.isOwner)
+                .map(([, value]) => value)
+        }
+
+        SuspicionMeter.drawBar(token, Math.max(0, ...values))
+    }
+
+    /**
+     * Draw, update or remove the bar above a token
+     * @param {Token} token
+     * @param {number} value - 0 to 1; 0 removes the bar
+     */
+    static drawBar(token, value) {
+        let bar = token.children?.find(child => child.name === SuspicionMeter.BAR_NAME)
+        if (!(value > 0)) {
+            bar?.destroy()
+            return
+        }
+
+        if (!bar || bar.destroyed) {
+            bar = new PIXI.Graphics()
+            bar.name = SuspicionMeter.BAR_NAME
+            token.addChild(bar)
+        }
+
+        const width = token.w * 0.8
+        const height = Math.max(4, Math.round(canvas.grid.size / 16))
+        const fill = Math.min(1, value)
+
+        bar.clear()
+        bar.beginFill(0x000000, 0.6).drawRoundedRect(0, 0, width, height, height / 2).endFill()
+        bar.beginFill(fill >= 1 ? 0xd83a34 : 0xf2b233, 0.9).drawRoundedRect(0, 0, width * fill, height, height / 2).endFill()
+        bar.position.set((token.w - width) / 2, -height - 4)
+    }
+}
@@ -7,14 +7,27 @@
  * @module Waypoint
  */
 
-import { MODULE_ID, debug, warn, WAYPOINT_STATES } from './main.js'
+import { MODULE_ID, debug, warn, WAYPOINT_STATES, SWEEP_MODES } from './main.js'
 import { getSetting } from './settings.js'
+import { detectionScheduler } from './DetectionScheduler.js'
 
 /**
  * Waypoint class - represents a patrol checkpoint
  */
 export class Waypoint {
     
+    /**
+     * Scene flag the waypoints are saved under
+     * @type {string}
+     */
+    static FLAG = 'waypoints'
+    
+    /**
+     * Symbol drawn in the middle of the marker
+     * @type {string}
+     */
+    static MARKER_ICON = '◎'
+    
     /**
      * @param {Object} data - Waypoint data
      */
@@ -103,6 +116,36 @@ export class Waypoint {
          */
         this.visionAngle = data.visionAngle ?? 360
         
+        /**
+         * Look-around sweep while a guard stands here. `angles` are absolute
+         * headings; `arc` is centred on facingDirection and scanned in `steps`
+         * looks. `interval` is seconds per look
+         * @type {{mode: string, angles: number[], arc: number, steps: number, interval: number}}
+         */
+        this.sweep = {
+            mode: SWEEP_MODES.NONE,
+            angles: [],
+            arc: 90,
+            steps: 3,
+            interval: 1.5,
+            ...(data.sweep || {})
+        }
+        
+        /**
+         * Heading the guard is currently looking while sweeping (runtime only)
+         * @type {number|null}
+         */
+        this.lookDirection = null
+        
+        /**
+         * Portal link to a waypoint on another scene. A patrol that reaches
+         * this waypoint crosses over and continues from the linked one
+         * @type {{sceneId: string, waypointId: string}|null}
+         */
+        this.link = data.link?.sceneId && data.link?.waypointId
+            ? { sceneId: data.link.sceneId, waypointId: data.link.waypointId }
+            : null
+        
         /**
          * Conditions for when this waypoint is active
          * @type {Object}
@@ -133,6 +176,13 @@ export class Waypoint {
          */
         this.occupiedBy = data.occupiedBy || null
         
+        /**
+         * Runtime-only point (an area patrol's roaming position): never
+         * saved to the scene and never drawn
+         * @type {boolean}
+         */
+        this.transient = data.transient || false
+        
         /**
          * PIXI container for visualization
          * @type {PIXI.Container|null}
@@ -257,6 +307,64 @@ export class Waypoint {
         return getSetting('waypointColor', '#7B68EE')
     }
     
+    /**
+     * Check whether this waypoint links to another scene
+     * @returns {boolean}
+     */
+    get isPortal() {
+        return this.link !== null
+    }
+    
+    /**
+     * The waypoint on the other side of the portal
+     * @returns {Waypoint|null}
+     */
+    get linkedWaypoint() {
+        if (!this.link) return null
+        return Waypoint.getSceneWaypoints(this.link.sceneId)
+            .find(w => w.id === this.link.waypointId) || null
+    }
+    
+    /**
+     * Direction the vision cone points right now
+     * @returns {number}
+     */
+    get currentFacing() {
+        return this.lookDirection ?? this.facingDirection
+    }
+    
+    /**
+     * Headings a guard looks through in one sweep cycle, in order
+     * @returns {number[]}
+     */
+    getSweepAngles() {
+        const { mode, angles, arc, steps } = this.sweep
+        
+        if (mode === SWEEP_MODES.ANGLES) {
+            return (angles || []).map(Number).filter(Number.isFinite)
+        }
+        
+        if (mode === SWEEP_MODES.ARC && arc > 0) {
+            const count = Math.max(2, Math.round(steps) || 2)
+            const start = this.facingDirection - arc / 2
+            const looks = Array.from({ length: count }, (_, i) => start + (arc * i) / (count - 1))
+            
+            // Out to one side and back: left ... right ... (excluding both ends on the way back)
+            return [...looks, ...looks.slice(1, -1).reverse()].map(a => ((a % 360) + 360) % 360)
+        }
+        
+        return []
+    }
+    
+    /**
+     * Point the vision cone somewhere else while a guard looks around
+     * @param {number|null} degrees - null restores facingDirection
+     */
+    setLookDirection(degrees) {
+        this.lookDirection = degrees
+        if (this._visual && this.visionAngle < 360) this.updateVisual()
+    }
+    
     // ==========================================
     // State Management
     // ==========================================
@@ -333,8 +441,18 @@ export class Waypoint {
      * @returns {boolean}
      */
     isInVisionCone(point) {
+        return this.getConeOffset(point) <= 1
+    }
+    
+    /**
+     * How far off the facing a point lies, as a fraction of the half cone:
+     * 0 dead ahead, 1 on the cone edge, above 1 outside
+     * @param {Point} point 
+     * @returns {number} Always 0 for 360 degree vision
+     */
+    getConeOffset(point) {
         // 360 degree vision means everything is visible
-        if (this.visionAngle >= 360) return true
+        if (this.visionAngle >= 360) return 0
         
         // Calculate angle to point
         const dx = point.x - this.x
@@ -343,16 +461,16 @@ export class Waypoint {
         
         // Normalize angles
         const normalizedAngle = ((angleToPoint % 360) + 360) % 360
-        const normalizedFacing = ((this.facingDirection % 360) + 360) % 360
+        const normalizedFacing = ((this.currentFacing % 360) + 360) % 360
         
         // Calculate half cone
         const halfCone = this.visionAngle / 2
         
-        // Check if within cone
         let diff = Math.abs(normalizedAngle - normalizedFacing)
         if (diff > 180) diff = 360 - diff
         
-        return diff <= halfCone
+        if (halfCone <= 0) return diff === 0 ? 0 : Infinity
+        return diff / halfCone
     }
     
     /**
@@ -362,7 +480,7 @@ export class Waypoint {
     getTokensInRange() {
         if (!canvas.ready || this.detectionRange <= 0) return []
         
-        return canvas.tokens.placeables.filter(token => {
+        return detectionScheduler.getTokensNear(this, this.detectionRadiusPixels).filter(token => {
             const center = token.center
             return this.isInRange(center) && this.isInVisionCone(center)
         })
@@ -398,7 +516,7 @@ export class Waypoint {
         
         // IMPORTANT: Waypoints are ONLY visible to GMs - never to players
         // This is a security feature to prevent players from seeing patrol routes
-        if (!game.user.isGM) {
+        if (!game.user.isGM || this.transient) {
             this.removeVisual()
             return
         }
@@ -460,7 +578,7 @@ export class Waypoint {
         this._visual.cone = cone
         
         // Center icon
-        const icon = new PIXI.Text('◎', {
+        const icon = new PIXI.Text(this.constructor.MARKER_ICON, {
             fontFamily: 'Arial',
             fontSize: 24,
             fill: 0xFFFFFF,
@@ -633,8 +751,9 @@ export class Waypoint {
             this._drawVisionCone()
         }
         
-        // Update label
-        this._visual.label.text = this.name
+        // Update label (portals name the scene they lead to)
+        const linkedScene = this.link ? game.scenes.get(this.link.sceneId) : null
+        this._visual.label.text = linkedScene ? `${this.name} \u2192 ${linkedScene.name}` : this.name
         
         // Disabled state
         this._visual.alpha = this.disabled ? 0.5 : 1
@@ -655,8 +774,8 @@ export class Waypoint {
         cone.beginFill(color, 1)
         cone.moveTo(0, 0)
         
-        const startAngle = (this.facingDirection - this.visionAngle / 2 - 90) * Math.PI / 180
-        const endAngle = (this.facingDirection + this.visionAngle / 2 - 90) * Math.PI / 180
+        const startAngle = (this.currentFacing - this.visionAngle / 2 - 90) * Math.PI / 180
+        const endAngle = (this.currentFacing + this.visionAngle / 2 - 90) * Math.PI / 180
         
         cone.arc(0, 0, radius, startAngle, endAngle)
         cone.lineTo(0, 0)
@@ -743,6 +862,8 @@ export class Waypoint {
             color: this.color,
             facingDirection: this.facingDirection,
             visionAngle: this.visionAngle,
+            sweep: this.sweep,
+            link: this.link,
             conditions: this.conditions,
             tags: this.tags,
             notes: this.notes,
@@ -755,13 +876,15 @@ export class Waypoint {
      * @returns {Promise}
      */
     async save() {
+        if (this.transient) return
+        
         const scene = this.scene
         if (!scene) {
             warn('Cannot save waypoint - scene not found')
             return
         }
         
-        const waypoints = scene.getFlag(MODULE_ID, 'waypoints') || []
+        const waypoints = scene.getFlag(MODULE_ID, this.constructor.FLAG) || []
         const index = waypoints.findIndex(w => w.id === this.id)
         
         if (index >= 0) {
@@ -770,7 +893,7 @@ export class Waypoint {
             waypoints.push(this.toJSON())
         }
         
-        await scene.setFlag(MODULE_ID, 'waypoints', waypoints)
+        await scene.setFlag(MODULE_ID, this.constructor.FLAG, waypoints)
         debug('Waypoint saved:', this.id)
     }
     
@@ -782,10 +905,10 @@ export class Waypoint {
         const scene = this.scene
         if (!scene) return
         
-        const waypoints = scene.getFlag(MODULE_ID, 'waypoints') || []
+        const waypoints = scene.getFlag(MODULE_ID, this.constructor.FLAG) || []
         const filtered = waypoints.filter(w => w.id !== this.id)
         
-        await scene.setFlag(MODULE_ID, 'waypoints', filtered)
+        await scene.setFlag(MODULE_ID, this.constructor.FLAG, filtered)
         this.removeVisual()
         
         debug('Waypoint deleted:', this.id)
@@ -0,0 +1,187 @@
+/**
+ * RNK Patrol - Waypoint Conditions
+ *
+ * Evaluates the `conditions` object stored on a waypoint to decide whether
+ * a patrol may pick it right now. Every configured condition must pass;
+ * an empty object always passes.
+ *
+ * Supported keys:
+ * - timeRange: { start, end } in world hours (0-24). Wraps past midnight when end < start
+ * - alertLevel: { min, max } compared to the patrol's numeric alert level
+ * - darkness: { min, max } compared to the scene darkness level (0-1)
+ * - flag: { target: 'scene'|'actor', scope, key, value, actorId }
+ *   Passes when the flag equals `value`, or is truthy if no value is given.
+ *   Actor flags default to the guard's actor
+ * - combat: true (only while combat runs on the scene) or false (only outside combat)
+ * - macroId: ID of a macro whose return value decides the result
+ *
+ * @module WaypointConditions
+ */
+
+import { debug, warn, getWorldHour } from './main.js'
+
+/**
+ * WaypointConditions - condition checks for waypoint selection
+ */
+export class WaypointConditions {
+
+    /**
+     * Check whether a waypoint's conditions currently pass
+     * @param {Waypoint} waypoint
+     * @param {Patrol} patrol
+     * @param {Object} [options]
+     * @param {number|null} [options.worldTime] - World time to check time windows at; defaults to now
+     * @param {boolean} [options.macros=true] - Run macro conditions; when false they pass
+     * @returns {Promise<boolean>}
+     */
+    static async evaluate(waypoint, patrol, { worldTime = null, macros = true } = {}) {
+        const conditions = waypoint?.conditions
+        if (!conditions || Object.keys(conditions).length === 0) return true
+
+        const checks = [
+            ['timeRange', () => WaypointConditions.checkTimeRange(conditions.timeRange, worldTime)],
+            ['alertLevel', () => WaypointConditions.checkRange(patrol?.alertLevel ?? 0, conditions.alertLevel)],
+            ['darkness', () => WaypointConditions.checkRange(WaypointConditions.getDarkness(patrol?.scene ?? waypoint.scene), conditions.darkness)],
+            ['flag', () => WaypointConditions.checkFlag(conditions.flag, waypoint, patrol)],
+            ['combat', () => WaypointConditions.checkCombat(conditions.combat, waypoint.sceneId)],
+            ['macroId', () => !macros || WaypointConditions.checkMacro(conditions.macroId, waypoint, patrol)]
+        ]
+
+        for (const [key, check] of checks) {
+            if (conditions[key] === undefined || conditions[key] === null || conditions[key] === '') continue
+
+            if (!(await check())) {
+                debug(`Waypoint ${waypoint.name} failed condition: ${key}`)
+                return false
+            }
+        }
+
+        return true
+    }
+
+    // ==========================================
+    // Individual Checks
+    // ==========================================
+
+    /**
+     * Check the world hour against a time window
+     * @param {{start: number, end: number}} range
+     * @param {number|null} [worldTime] - Defaults to now
+     * @returns {boolean}
+     */
+    static checkTimeRange(range, worldTime = null) {
+        const start = Number(range?.start)
+        const end = Number(range?.end)
+        if (Number.isNaN(start) || Number.isNaN(end)) return true
+
+        const hour = getWorldHour(worldTime)
+
+        // Overnight window, e.g. 20 -> 6
+        if (end < start) return hour >= start || hour < end
+        return hour >= start && hour < end
+    }
+
+    /**
+     * Check a numeric value against optional min/max bounds
+     * @param {number} value
+     * @param {{min: number, max: number}} range
+     * @returns {boolean}
+     */
+    static checkRange(value, range) {
+        const numeric = Number(value) || 0
+        if (range?.min !== undefined && range.min !== null && numeric < range.min) return false
+        if (range?.max !== undefined && range.max !== null && numeric > range.max) return false
+        return true
+    }
+
+    /**
+     * Check a scene or actor flag
+     * @param {Object} flag
+     * @param {Waypoint} waypoint
+     * @param {Patrol} patrol
+     * @returns {boolean}
+     */
+    static checkFlag(flag, waypoint, patrol) {
+        if (!flag?.key) return true
+
+        const scope = flag.scope || 'world'
+        let document = null
+
+        if (flag.target === 'actor') {
+            document = flag.actorId
+                ? game.actors.get(flag.actorId)
+                : patrol?.tokenDocument?.actor
+        } else {
+            document = patrol?.scene ?? waypoint.scene
+        }
+
+        if (!document) return false
+
+        let current
+        try {
+            current = document.getFlag(scope, flag.key)
+        } catch (e) {
+            // Unregistered flag scopes throw
+            current = foundry.utils.getProperty(document, `flags.${scope}.${flag.key}`)
+        }
+
+        if (flag.value === undefined || flag.value === null || flag.value === '') return !!current
+        return String(current) === String(flag.value)
+    }
+
+    /**
+     * Check whether combat is running on the waypoint's scene
+     * @param {boolean|string} required - true/'active' or false/'inactive'
+     * @param {string} sceneId
+     * @returns {boolean}
+     */
+    static checkCombat(required, sceneId) {
+        const wantCombat = required === true || required === 'active'
+        const inCombat = !!game.combats?.some(c => c.started && (!c.scene || c.scene.id === sceneId))
+        return wantCombat === inCombat
+    }
+
+    /**
+     * Run a condition macro and use its return value
+     * @param {string} macroId
+     * @param {Waypoint} waypoint
+     * @param {Patrol} patrol
+     * @returns {Promise<boolean>}
+     */
+    static async checkMacro(macroId, waypoint, patrol) {
+        const macro = game.macros.get(macroId)
+        if (!macro) {
+            warn(`Waypoint condition macro not found: ${macroId}`)
+            return false
+        }
+
+        try {
+            const result = await macro.execute({
+                waypoint,
+                patrol,
+                guardToken: patrol?.token ?? null
+            })
+            return !!result
+        } catch (err) {
+            warn(`Waypoint condition macro ${macro.name} failed:`, err)
+            return false
+        }
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    /**
+     * Get the darkness level of a scene (0 = bright, 1 = dark)
+     * @param {Scene} scene
+     * @returns {number}
+     */
+    static getDarkness(scene) {
+        if (!scene) return 0
+        if (scene.id === canvas.scene?.id && canvas.environment?.darknessLevel !== undefined) {
+            return canvas.environment.darknessLevel
+        }
+        return scene.environment?.darknessLevel ?? scene.darkness ?? 0
+    }
+}
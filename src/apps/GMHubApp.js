@@ -445,7 +445,10 @@ export class GMHubApp extends Application {
             [PATROL_STATES.ACTIVE]: 'active',
             [PATROL_STATES.PAUSED]: 'paused',
             [PATROL_STATES.IDLE]: 'stopped',
-            [PATROL_STATES.ALERT]: 'alert'
+            [PATROL_STATES.ALERT]: 'alert',
+            [PATROL_STATES.PURSUING]: 'alert',
+            [PATROL_STATES.INVESTIGATING]: 'alert',
+            [PATROL_STATES.RETURNING]: 'active'
         };
         return classes[state] || 'stopped';
     }
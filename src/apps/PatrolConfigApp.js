@@ -6,7 +6,12 @@
  * @module PatrolConfigApp
  */
 
-import { MODULE_ID, PATROL_MODES, BLINK_PATTERNS } from '../main.js'
+import { MODULE_ID, PATROL_MODES, BLINK_PATTERNS, SEGMENT_MODES, FORMATIONS } from '../main.js'
+import { RouteGraph } from '../RouteGraph.js'
+import { AreaSampler } from '../AreaSampler.js'
+import { Waypoint } from '../Waypoint.js'
+import { Patrol } from '../Patrol.js'
+import { ClearanceSystem, clearanceSystem, CLEARANCE_TYPES, CLEARANCE_RESULTS } from '../ClearanceSystem.js'
 
 /**
  * PatrolConfigApp - Edit patrol configuration
@@ -62,9 +67,23 @@ export class PatrolConfigApp extends FormApplication {
             selected: patrol.tokenId === t.id
         }))
         
+        const squadTokens = canvas.tokens.placeables
+            .filter(t => t.id !== patrol.tokenId)
+            .map(t => ({
+                id: t.id,
+                name: t.name,
+                selected: patrol.memberTokenIds.includes(t.id)
+            }))
+        
         const allWaypoints = this.manager?.getWaypoints() ?? []
         const patrolWaypointIds = new Set(patrol.waypointIds)
         
+        // Waypoints on other scenes a portal can lead to
+        const portalScenes = game.scenes.contents
+            .filter(s => s.id !== patrol.sceneId)
+            .map(s => ({ id: s.id, name: s.name, waypoints: Waypoint.getSceneWaypoints(s.id) }))
+            .filter(s => s.waypoints.length > 0)
+        
         const actors = game.actors.contents
             .filter(a => !a.hasPlayerOwner)
             .map(a => ({ id: a.id, name: a.name, img: a.img }))
@@ -75,11 +94,34 @@ export class PatrolConfigApp extends FormApplication {
                 tagsString: patrol.tags?.join(', ') || ''
             },
             tokens,
+            squadTokens,
+            isAreaPatrol: patrol.isAreaPatrol,
+            areaOptions: this._getAreaOptions(),
+            formations: Object.values(FORMATIONS).map(value => ({
+                value,
+                label: game.i18n.localize(`${MODULE_ID}.formations.${value}`),
+                selected: value === patrol.formation
+            })),
+            isHybrid: patrol.mode === PATROL_MODES.HYBRID,
+            route: this._getRouteData(allWaypoints),
             waypoints: allWaypoints.map(w => ({
                 id: w.id,
                 name: w.name,
                 selected: patrolWaypointIds.has(w.id),
-                order: patrol.waypointIds.indexOf(w.id)
+                order: patrol.waypointIds.indexOf(w.id),
+                segmentOptions: Object.values(SEGMENT_MODES).map(value => ({
+                    value,
+                    label: game.i18n.localize(`${MODULE_ID}.segmentModes.${value}`),
+                    selected: value === patrol.getSegmentMode(w.id)
+                })),
+                portalScenes: portalScenes.map(s => ({
+                    name: s.name,
+                    options: s.waypoints.map(target => ({
+                        value: `${s.id}.${target.id}`,
+                        label: target.name,
+                        selected: w.link?.sceneId === s.id && w.link?.waypointId === target.id
+                    }))
+                }))
             })).sort((a, b) => {
                 // Selected first, then by order
                 if (a.selected && !b.selected) return -1
@@ -87,6 +129,32 @@ export class PatrolConfigApp extends FormApplication {
                 if (a.selected && b.selected) return a.order - b.order
                 return a.name.localeCompare(b.name)
             }),
+            watchWaypoints: patrol.waypointIds
+                .map(id => allWaypoints.find(w => w.id === id))
+                .filter(Boolean)
+                .map(w => ({
+                    id: w.id,
+                    name: w.name,
+                    options: ['', 'day', 'night'].map(value => ({
+                        value,
+                        label: game.i18n.localize(`${MODULE_ID}.watches.${value || 'any'}`),
+                        selected: value === (patrol.schedule.watches[w.id] || '')
+                    }))
+                })),
+            nightPatterns: Object.values(BLINK_PATTERNS).map(value => ({
+                value,
+                label: game.i18n.localize(`${MODULE_ID}.blinkPatterns.${value}`),
+                selected: value === patrol.schedule.nightBlinkPattern
+            })),
+            reliefActors: actors.map(a => ({
+                ...a,
+                selected: a.id === patrol.schedule.reliefActorId
+            })),
+            barracksOptions: allWaypoints.map(w => ({
+                id: w.id,
+                name: w.name,
+                selected: w.id === patrol.schedule.barracksWaypointId
+            })),
             modes: Object.entries(PATROL_MODES).map(([key, value]) => ({
                 value,
                 label: game.i18n.localize(`${MODULE_ID}.patrolModes.${value}`),
@@ -111,8 +179,16 @@ export class PatrolConfigApp extends FormApplication {
                 { value: 'alert', label: game.i18n.localize(`${MODULE_ID}.detectionTriggers.alert`), selected: patrol.detectionAction === 'alert' },
                 { value: 'combat', label: game.i18n.localize(`${MODULE_ID}.detectionTriggers.combat`), selected: patrol.detectionAction === 'combat' },
                 { value: 'macro', label: game.i18n.localize(`${MODULE_ID}.detectionTriggers.macro`), selected: patrol.detectionAction === 'macro' },
+                { value: 'pursue', label: game.i18n.localize(`${MODULE_ID}.detectionTriggers.pursue`), selected: patrol.detectionAction === 'pursue' },
                 { value: 'none', label: game.i18n.localize(`${MODULE_ID}.detectionTriggers.none`), selected: patrol.detectionAction === 'none' }
             ],
+            alertTimeouts: Object.keys(Patrol.ALERT_DECAY).map(state => ({
+                state,
+                label: game.i18n.localize(`${MODULE_ID}.alerts.${state}`),
+                value: patrol.alertTimeouts[state]
+            })),
+            alertLabel: game.i18n.localize(`${MODULE_ID}.alerts.${patrol.alertState}`),
+            clearanceRows: this._getClearanceRows(),
             macros: game.macros.contents.map(m => ({
                 id: m.id,
                 name: m.name,
@@ -133,17 +209,110 @@ export class PatrolConfigApp extends FormApplication {
         const waypointCheckboxes = form.querySelectorAll('[name="waypoints"]:checked')
         waypointCheckboxes.forEach(cb => waypointIds.push(cb.value))
         
+        // Squad members, never including the leader
+        const memberTokenIds = Array.from(form.querySelectorAll('[name="memberTokenIds"]:checked'))
+            .map(cb => cb.value)
+            .filter(id => id !== formData.tokenId)
+        
         // Parse tags from comma-separated string
         const tags = (formData.tags || '')
             .split(',')
             .map(t => t.trim().toLowerCase())
             .filter(t => t.length > 0)
         
+        const expanded = foundry.utils.expandObject(formData)
+        
+        // Per-waypoint exit mode (only rendered for hybrid patrols)
+        const segmentModes = expanded.segmentModes || {}
+        for (const [waypointId, segmentMode] of Object.entries(segmentModes)) {
+            this.patrol.setSegmentMode(waypointId, segmentMode)
+        }
+        
+        // Portal links live on the waypoints themselves
+        for (const [waypointId, target] of Object.entries(expanded.portalLinks || {})) {
+            const waypoint = this.patrol.getWaypoint(waypointId)
+            if (!waypoint) continue
+            
+            const [sceneId, linkedId] = (target || '').split('.')
+            const link = linkedId ? { sceneId, waypointId: linkedId } : null
+            if (JSON.stringify(link) === JSON.stringify(waypoint.link)) continue
+            
+            waypoint.link = link
+            await waypoint.save()
+        }
+        
+        // Schedule tab; blank hours mean "always"
+        if (expanded.schedule) {
+            const watches = {}
+            for (const [waypointId, watch] of Object.entries(expanded.watches || {})) {
+                if (watch) watches[waypointId] = watch
+            }
+            
+            this.patrol.schedule = {
+                ...this.patrol.schedule,
+                ...expanded.schedule,
+                enabled: expanded.schedule.enabled ?? false,
+                activeStart: expanded.schedule.activeStart ?? null,
+                activeEnd: expanded.schedule.activeEnd ?? null,
+                nightBlinkPattern: expanded.schedule.nightBlinkPattern || null,
+                shiftLength: expanded.schedule.shiftLength ?? 0,
+                reliefActorId: expanded.schedule.reliefActorId || null,
+                barracksWaypointId: expanded.schedule.barracksWaypointId || null,
+                watches
+            }
+        }
+        
+        // Alert state timeouts; blank means the state holds
+        if (expanded.alertTimeouts) {
+            for (const [state, seconds] of Object.entries(expanded.alertTimeouts)) {
+                this.patrol.alertTimeouts[state] = seconds ?? 0
+            }
+        }
+        
+        // Clearance rules. Faction rows are shared by every patrol of the
+        // faction, so they are only written while the faction is unchanged
+        const faction = (formData.faction || '').trim()
+        const factionChanged = faction !== this.patrol.faction
+        if (expanded.clearances) {
+            const rows = Object.values(expanded.clearances)
+            const isShared = row => row.scope === 'faction'
+            this.patrol.clearances = rows.filter(row => !isShared(row)).map(row => ClearanceSystem.cleanRule(row))
+            if (!factionChanged) await clearanceSystem.setFactionRules(faction, rows.filter(isShared))
+        }
+        
+        // Route graph edges (only rendered once a graph is defined)
+        const graphBefore = JSON.stringify(this.patrol.routeGraph?.toJSON() ?? null)
+        if (expanded.routeEdges) {
+            this.patrol.routeGraph = new RouteGraph({ edges: Object.values(expanded.routeEdges) })
+            this.patrol._loopPlan = []
+        }
+        const graphChanged = JSON.stringify(this.patrol.routeGraph?.toJSON() ?? null) !== graphBefore
+        
+        // Roaming area: "drawing.<id>" / "region.<id>", or blank for waypoints
+        const areaInput = expanded.area || {}
+        const [areaType, areaId] = (areaInput.source || '').split('.')
+        const area = {
+            ...this.patrol.area,
+            type: areaId ? areaType : null,
+            id: areaId || null
+        }
+        if (areaInput.minSpacing !== undefined) area.minSpacing = areaInput.minSpacing ?? 0
+        if (areaInput.avoidGuards !== undefined) area.avoidGuards = areaInput.avoidGuards ?? 0
+        if (areaInput.detectionRange !== undefined) area.detectionRange = areaInput.detectionRange ?? null
+        const areaChanged = area.type !== this.patrol.area.type || area.id !== this.patrol.area.id
+        if (areaChanged) this.patrol._roamWaypoint = null
+        
+        const modeChanged = formData.mode !== this.patrol.mode
+        
         // Update patrol
         Object.assign(this.patrol, {
             name: formData.name,
             tokenId: formData.tokenId,
             guardActorId: formData.guardActorId || null,
+            area,
+            memberTokenIds,
+            formation: formData.formation || this.patrol.formation,
+            formationSpacing: formData.formationSpacing ?? this.patrol.formationSpacing,
             mode: formData.mode,
             blinkPattern: formData.blinkPattern,
             waypointIds,
@@ -155,6 +324,10 @@ export class PatrolConfigApp extends FormApplication {
             detectEnabled: formData.detectEnabled ?? false,
             detectionAction: formData.detectionAction,
             detectionMacro: formData.detectionMacro || null,
+            pursuitMaxDuration: formData.pursuitMaxDuration ?? this.patrol.pursuitMaxDuration,
+            pursuitMaxDistance: formData.pursuitMaxDistance ?? this.patrol.pursuitMaxDistance,
+            investigateCycles: formData.investigateCycles ?? this.patrol.investigateCycles,
+            faction,
             disabled: formData.disabled ?? false,
             notes: formData.notes || '',
             tags,
@@ -167,6 +340,144 @@ export class PatrolConfigApp extends FormApplication {
         await this.patrol.save()
         
         ui.notifications.info(game.i18n.localize(`${MODULE_ID}.notifications.patrolUpdated`))
+        
+        // Segment mode selectors depend on the patrol mode; the graph drawing on the edges
+        if (modeChanged || graphChanged || areaChanged || factionChanged) this.render()
+    }
+    
+    /**
+     * Clearance rows for the Detection tab: the patrol's own rules, then
+     * its faction's
+     * @returns {Object[]}
+     */
+    _getClearanceRows() {
+        const patrol = this.patrol
+        const options = (values, group, selected) => Object.values(values).map(value => ({
+            value,
+            label: game.i18n.localize(`${MODULE_ID}.clearance.${group}.${value}`),
+            selected: value === selected
+        }))
+        
+        const rows = [
+            ...patrol.clearances.map((rule, ruleIndex) => ({ rule, ruleIndex, scope: 'patrol' })),
+            ...clearanceSystem.getFactionRules(patrol.faction).map((rule, ruleIndex) => ({ rule, ruleIndex, scope: 'faction' }))
+        ]
+        
+        return rows.map(({ rule, ruleIndex, scope }, index) => ({
+            index,
+            ruleIndex,
+            scope,
+            value: rule.value,
+            typeOptions: options(CLEARANCE_TYPES, 'types', rule.type),
+            resultOptions: options(CLEARANCE_RESULTS, 'results', rule.result),
+            scopeOptions: patrol.faction ? options(['patrol', 'faction'], 'scopes', scope) : null
+        }))
+    }
+    
+    /**
+     * Drawings and regions on the patrol's scene that can bound an area patrol
+     * @returns {{drawings: Object[], regions: Object[]}}
+     */
+    _getAreaOptions() {
+        const scene = this.patrol.scene
+        const { type, id } = this.patrol.area
+        const option = (kind, doc, fallback) => ({
+            value: `${kind}.${doc.id}`,
+            label: doc.name || doc.text || `${fallback} ${doc.id}`,
+            selected: type === kind && id === doc.id
+        })
+        
+        return {
+            drawings: (scene?.drawings.contents ?? [])
+                .map(d => option(AreaSampler.TYPES.DRAWING, d, game.i18n.localize('DOCUMENT.Drawing'))),
+            regions: (scene?.regions?.contents ?? [])
+                .map(r => option(AreaSampler.TYPES.REGION, r, game.i18n.localize('DOCUMENT.Region')))
+        }
+    }
+    
+    /**
+     * Build the route graph drawing and edge rows
+     * @param {Waypoint[]} allWaypoints 
+     * @returns {Object}
+     */
+    _getRouteData(allWaypoints) {
+        const patrol = this.patrol
+        const graph = patrol.getRouteGraph()
+        const routeWaypoints = patrol.waypointIds
+            .map(id => allWaypoints.find(w => w.id === id))
+            .filter(Boolean)
+        
+        // Fit the route into the SVG view box
+        const width = 460
+        const height = 240
+        const padding = 20
+        const radius = 8
+        const xs = routeWaypoints.map(w => w.x)
+        const ys = routeWaypoints.map(w => w.y)
+        const minX = Math.min(...xs)
+        const minY = Math.min(...ys)
+        const scale = Math.min(
+            (width - padding * 2) / Math.max(1, Math.max(...xs) - minX),
+            (height - padding * 2) / Math.max(1, Math.max(...ys) - minY)
+        )
+        
+        const positions = new Map()
+        const nodes = routeWaypoints.map((w, i) => {
+            const position = {
+                x: Math.round(padding + (w.x - minX) * scale),
+                y: Math.round(padding + (w.y - minY) * scale)
+            }
+            positions.set(w.id, position)
+            return {
+                id: w.id,
+                label: i + 1,
+                name: w.name,
+                cx: position.x,
+                cy: position.y,
+                current: i === patrol.currentWaypointIndex
+            }
+        })
+        
+        const waypointOptions = (selectedId) => routeWaypoints.map(w => ({
+            id: w.id,
+            name: w.name,
+            selected: w.id === selectedId
+        }))
+        
+        const edges = graph.edges
+            .filter(e => positions.has(e.from) && positions.has(e.to))
+            .map(e => {
+                const a = positions.get(e.from)
+                const b = positions.get(e.to)
+                const length = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y))
+                // Stop lines at the node circles so arrowheads stay visible
+                const dx = ((b.x - a.x) / length) * radius
+                const dy = ((b.y - a.y) / length) * radius
+                return {
+                    x1: a.x + dx,
+                    y1: a.y + dy,
+                    x2: b.x - dx,
+                    y2: b.y - dy,
+                    directed: e.directed,
+                    width: Math.min(4, 1 + e.weight / 2)
+                }
+            })
+        
+        return {
+            defined: !!patrol.routeGraph,
+            width,
+            height,
+            radius,
+            nodes,
+            edges,
+            edgeRows: (patrol.routeGraph?.edges ?? []).map((e, index) => ({
+                index,
+                weight: e.weight,
+                directed: e.directed,
+                fromOptions: waypointOptions(e.from),
+                toOptions: waypointOptions(e.to)
+            }))
+        }
     }
     
     /**
@@ -231,6 +542,61 @@ export class PatrolConfigApp extends FormApplication {
             } else {
                 macroGroup.hide()
             }
+            html.find('.pursuit-group').toggle(event.target.value === 'pursue')
+        })
+        
+        // Route graph editing
+        html.find('[data-action="import-linear-route"]').click(async () => {
+            this.patrol.importLinearRoute()
+            await this.patrol.save()
+            this.render()
+        })
+        
+        html.find('[data-action="clear-route-graph"]').click(async () => {
+            this.patrol.routeGraph = null
+            this.patrol._loopPlan = []
+            await this.patrol.save()
+            this.render()
+        })
+        
+        html.find('[data-action="add-edge"]').click(async () => {
+            const [first, second] = this.patrol.waypointIds
+            if (!second) {
+                ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.apps.config.routeNeedsWaypoints`))
+                return
+            }
+            if (!this.patrol.routeGraph) this.patrol.importLinearRoute()
+            this.patrol.routeGraph.addEdge(first, second)
+            await this.patrol.save()
+            this.render()
+        })
+        
+        html.find('[data-action="remove-edge"]').click(async (event) => {
+            const index = Number(event.currentTarget.dataset.index)
+            this.patrol.routeGraph?.edges.splice(index, 1)
+            this.patrol._loopPlan = []
+            await this.patrol.save()
+            this.render()
+        })
+        
+        // Clearance rules
+        html.find('[data-action="add-clearance"]').click(async () => {
+            this.patrol.clearances.push(ClearanceSystem.cleanRule())
+            await this.patrol.save()
+            this.render()
+        })
+        
+        html.find('[data-action="remove-clearance"]').click(async (event) => {
+            const { scope, index } = event.currentTarget.dataset
+            if (scope === 'faction') {
+                const rules = [...clearanceSystem.getFactionRules(this.patrol.faction)]
+                rules.splice(Number(index), 1)
+                await clearanceSystem.setFactionRules(this.patrol.faction, rules)
+            } else {
+                this.patrol.clearances.splice(Number(index), 1)
+                await this.patrol.save()
+            }
+            this.render()
         })
         
         // Add new waypoint
@@ -52,12 +52,36 @@ export const PATROL_MODES = {
     HYBRID: 'hybrid'     // Mix of both
 }
 
+// How a hybrid patrol leaves a waypoint for the next one
+export const SEGMENT_MODES = {
+    WALK: 'walk',               // Walk the segment
+    BLINK: 'blink',             // Teleport across the segment
+    WALK_VANISH: 'walkVanish'   // Walk the segment, then vanish and blink onward
+}
+
+// Squad formations (relative to the leader's heading)
+export const FORMATIONS = {
+    LINE: 'line',               // Abreast of the leader
+    WEDGE: 'wedge',             // V behind the leader
+    COLUMN: 'column',           // Single file behind the leader
+    CLUSTER: 'cluster'          // Ringed around the leader
+}
+
+// How a guard looks around while visible at a waypoint
+export const SWEEP_MODES = {
+    NONE: 'none',               // Hold the waypoint's facing
+    ANGLES: 'angles',           // Turn through a list of headings
+    ARC: 'arc'                  // Scan back and forth across an arc
+}
+
 // Patrol states
 export const PATROL_STATES = {
     IDLE: 'idle',
     ACTIVE: 'active',
     PAUSED: 'paused',
     ALERT: 'alert',
+    PURSUING: 'pursuing',
+    INVESTIGATING: 'investigating',
     RETURNING: 'returning'
 }
 
@@ -74,15 +98,20 @@ export const BLINK_PATTERNS = {
     RANDOM: 'random',           // Random waypoint selection
     WEIGHTED: 'weighted',       // Some waypoints more likely
     PING_PONG: 'pingPong',     // Back and forth
-    PRIORITY: 'priority'        // Based on conditions
+    PRIORITY: 'priority',       // Based on conditions
+    RANDOM_WALK: 'randomWalk',  // Route graph: random outgoing edge
+    WEIGHTED_EDGE: 'weightedEdge', // Route graph: edge weight decides
+    SHORTEST_LOOP: 'shortestLoop'  // Route graph: shortest tour of all nodes
 }
 
-// Alert states for detection system
+// Alert states for detection system, in escalation order
 export const ALERT_STATES = {
     IDLE: 'idle',
-    ALERT: 'alert',
-    COMBAT: 'combat',
-    INVESTIGATING: 'investigating'
+    SUSPICIOUS: 'suspicious',       // Noticed something, not sure what
+    INVESTIGATING: 'investigating', // Checking it out
+    ALERT: 'alert',                 // Intruder confirmed
+    COMBAT: 'combat',               // Fighting
+    SEARCHING: 'searching'          // Lost the target, sweeping the area
 }
 
 // Effect types for visual transitions
@@ -109,15 +138,34 @@ const moduleAPI = {
     PatrolEffects: null,
     PatrolDetection: null,
     PatrolSocket: null,
+    WaypointConditions: null,
+    PatrolScheduler: null,
+    PatrolSimulator: null,
+    StealthContest: null,
+    Lighting: null,
+    NoiseSystem: null,
+    SuspicionMeter: null,
+    GuardVision: null,
+    ClearanceSystem: null,
+    BodySystem: null,
+    DetectionScheduler: null,
+    Sentry: null,
     
     // Active managers
     manager: null,
+    noise: null,
+    bodies: null,
+    detection: null,
+    sentries: null,
     
     // Quick reference to effects (for socket handler)
     get effects() { return this.PatrolEffects },
     
     // Constants
     PATROL_MODES,
+    SEGMENT_MODES,
+    FORMATIONS,
+    SWEEP_MODES,
     PATROL_STATES,
     WAYPOINT_STATES,
     BLINK_PATTERNS,
@@ -172,6 +220,15 @@ const moduleAPI = {
      */
     async pauseAll() {
         return this.manager?.pauseAll()
+    },
+    
+    /**
+     * Make a noise that nearby guards can hear
+     * @param {Object} noise - Position, loudness and source, see NoiseSystem#makeNoise
+     * @returns {Promise<Patrol[]>} Patrols that heard it
+     */
+    async makeNoise(noise) {
+        return this.noise?.makeNoise(noise) ?? []
     }
 }
 
@@ -226,6 +283,43 @@ Hooks.once('ready', async () => {
         log('Loading PatrolSocket...')
         const { PatrolSocket } = await import('./PatrolSocket.js')
         
+        log('Loading WaypointConditions...')
+        const { WaypointConditions } = await import('./WaypointConditions.js')
+        
+        log('Loading PatrolScheduler...')
+        const { PatrolScheduler, patrolScheduler } = await import('./PatrolScheduler.js')
+        
+        log('Loading PatrolSimulator...')
+        const { PatrolSimulator, patrolSimulator } = await import('./PatrolSimulator.js')
+        
+        log('Loading StealthContest...')
+        const { StealthContest } = await import('./StealthContest.js')
+        
+        log('Loading Lighting...')
+        const { Lighting } = await import('./Lighting.js')
+        
+        log('Loading GuardVision...')
+        const { GuardVision } = await import('./GuardVision.js')
+        
+        log('Loading SuspicionMeter...')
+        const { SuspicionMeter } = await import('./SuspicionMeter.js')
+        
+        log('Loading ClearanceSystem...')
+        const { ClearanceSystem, clearanceSystem, CLEARANCE_TYPES, CLEARANCE_RESULTS } = await import('./ClearanceSystem.js')
+        
+        log('Loading DetectionScheduler...')
+        const { DetectionScheduler, detectionScheduler } = await import('./DetectionScheduler.js')
+        
+        log('Loading SentrySystem...')
+        const { Sentry, SENTRY_ACTIONS } = await import('./Sentry.js')
+        const { sentrySystem } = await import('./SentrySystem.js')
+        
+        log('Loading BodySystem...')
+        const { BodySystem, bodySystem } = await import('./BodySystem.js')
+        
+        log('Loading NoiseSystem...')
+        const { NoiseSystem, noiseSystem, NOISE_LOUDNESS } = await import('./NoiseSystem.js')
+        
         log('Loading GMHubApp...')
         const { GMHubApp } = await import('./apps/GMHubApp.js')
         
@@ -262,6 +356,29 @@ Hooks.once('ready', async () => {
         moduleAPI.PatrolEffects = PatrolEffects
         moduleAPI.PatrolDetection = PatrolDetection
         moduleAPI.PatrolSocket = PatrolSocket
+        moduleAPI.WaypointConditions = WaypointConditions
+        moduleAPI.PatrolScheduler = PatrolScheduler
+        moduleAPI.scheduler = patrolScheduler
+        moduleAPI.PatrolSimulator = PatrolSimulator
+        moduleAPI.simulator = patrolSimulator
+        moduleAPI.StealthContest = StealthContest
+        moduleAPI.Lighting = Lighting
+        moduleAPI.GuardVision = GuardVision
+        moduleAPI.SuspicionMeter = SuspicionMeter
+        moduleAPI.ClearanceSystem = ClearanceSystem
+        moduleAPI.clearance = clearanceSystem
+        moduleAPI.CLEARANCE_TYPES = CLEARANCE_TYPES
+        moduleAPI.CLEARANCE_RESULTS = CLEARANCE_RESULTS
+        moduleAPI.BodySystem = BodySystem
+        moduleAPI.bodies = bodySystem
+        moduleAPI.DetectionScheduler = DetectionScheduler
+        moduleAPI.detection = detectionScheduler
+        moduleAPI.Sentry = Sentry
+        moduleAPI.SENTRY_ACTIONS = SENTRY_ACTIONS
+        moduleAPI.sentries = sentrySystem
+        moduleAPI.NoiseSystem = NoiseSystem
+        moduleAPI.noise = noiseSystem
+        moduleAPI.NOISE_LOUDNESS = NOISE_LOUDNESS
         moduleAPI.GMHubApp = GMHubApp
         
         // Store new systems (with both naming conventions)
@@ -302,6 +419,12 @@ Hooks.once('ready', async () => {
         telegraphSystem.initialize()
         jailSystem.initialize()
         reinforcementSystem.initialize()
+        patrolScheduler.initialize()
+        noiseSystem.initialize()
+        clearanceSystem.initialize()
+        bodySystem.initialize()
+        detectionScheduler.initialize()
+        sentrySystem.initialize()
         try {
             if (moduleAPI.aiService && typeof moduleAPI.aiService.initialize === 'function') moduleAPI.aiService.initialize()
         } catch (err) {}
@@ -360,8 +483,8 @@ Hooks.on('canvasReady', async () => {
     try {
         await game.rnkPatrol.manager.loadScenePatrols(canvas.scene.id)
         
-        // Check if we have saved state to restore
-        if (game.user.isGM) {
+        // Check if we have saved state to restore; only the primary GM runs patrols
+        if (isPrimaryGM()) {
             const savedState = game.rnkPatrol.manager.getSavedSceneState(canvas.scene.id)
             if (savedState) {
                 await game.rnkPatrol.manager.promptRestoreState(savedState)
@@ -682,16 +805,6 @@ Hooks.once('ready', () => {
     }
 })
 
-/**
- * Handle canvas ready - restore patrols for scene
- */
-Hooks.on('canvasReady', async () => {
-    if (!moduleAPI.manager) return
-    
-    debug('Canvas ready - loading scene patrols')
-    await moduleAPI.manager.loadScenePatrols(canvas.scene.id)
-})
-
 /**
  * Handle canvas teardown - cleanup
  */
@@ -699,7 +812,17 @@ Hooks.on('canvasTearDown', () => {
     if (!moduleAPI.manager) return
     
     debug('Canvas teardown - cleaning up')
+    
+    // Snapshot the scene being left, even when only the view changes. The
+    // snapshot is taken synchronously; only the flag write is left pending
+    const sceneId = moduleAPI.manager._currentSceneId
+    if (game.user.isGM && sceneId && moduleAPI.manager.getPatrols().length > 0) {
+        moduleAPI.manager.saveSceneState(sceneId)
+    }
+    
     moduleAPI.manager.cleanup()
+    moduleAPI.GuardVision?.clearCache()
+    moduleAPI.detection?.reset()
 })
 
 /**
@@ -929,6 +1052,26 @@ export function isPrimaryGM() {
     return gms.length > 0 && gms[0].id === game.user.id
 }
 
+/**
+ * Get the in-game hour of day (fractional, 0-24) from the world clock
+ * @param {number|null} [worldTime] - Another world time to read the hour at; defaults to now
+ * @returns {number}
+ */
+export function getWorldHour(worldTime = null) {
+    const now = game.time?.worldTime ?? 0
+    const offset = worldTime === null ? 0 : (worldTime - now) / 3600
+
+    const components = game.time?.components
+    if (typeof components?.hour === 'number') {
+        const hour = components.hour + (components.minute ?? 0) / 60 + offset
+        return ((hour % 24) + 24) % 24
+    }
+
+    const secondsPerDay = 86400
+    const seconds = (((worldTime ?? now) % secondsPerDay) + secondsPerDay) % secondsPerDay
+    return seconds / 3600
+}
+
 /**
  * Emit socket event to all clients
  * @param {string} eventName 
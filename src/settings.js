@@ -64,7 +64,10 @@ export function registerSettings() {
             [BLINK_PATTERNS.RANDOM]: `${MODULE_ID}.blinkPatterns.random`,
             [BLINK_PATTERNS.WEIGHTED]: `${MODULE_ID}.blinkPatterns.weighted`,
             [BLINK_PATTERNS.PING_PONG]: `${MODULE_ID}.blinkPatterns.pingPong`,
-            [BLINK_PATTERNS.PRIORITY]: `${MODULE_ID}.blinkPatterns.priority`
+            [BLINK_PATTERNS.PRIORITY]: `${MODULE_ID}.blinkPatterns.priority`,
+            [BLINK_PATTERNS.RANDOM_WALK]: `${MODULE_ID}.blinkPatterns.randomWalk`,
+            [BLINK_PATTERNS.WEIGHTED_EDGE]: `${MODULE_ID}.blinkPatterns.weightedEdge`,
+            [BLINK_PATTERNS.SHORTEST_LOOP]: `${MODULE_ID}.blinkPatterns.shortestLoop`
         },
         default: BLINK_PATTERNS.RANDOM,
         requiresReload: false
@@ -118,7 +121,66 @@ export function registerSettings() {
         default: 25,
         requiresReload: false
     })
-    
+
+    game.settings.register(MODULE_ID, 'patrolTimeScale', {
+        name: `${MODULE_ID}.settings.patrolTimeScale.name`,
+        hint: `${MODULE_ID}.settings.patrolTimeScale.hint`,
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 0.25,
+            max: 4,
+            step: 0.25
+        },
+        default: 1,
+        requiresReload: false
+    })
+
+    // ==========================================
+    // Movement Settings
+    // ==========================================
+
+    game.settings.register(MODULE_ID, 'walkPathfinding', {
+        name: `${MODULE_ID}.settings.walkPathfinding.name`,
+        hint: `${MODULE_ID}.settings.walkPathfinding.hint`,
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    })
+
+    game.settings.register(MODULE_ID, 'combatStepMode', {
+        name: `${MODULE_ID}.settings.combatStepMode.name`,
+        hint: `${MODULE_ID}.settings.combatStepMode.hint`,
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'round': `${MODULE_ID}.combatStepModes.round`,
+            'turn': `${MODULE_ID}.combatStepModes.turn`,
+            'off': `${MODULE_ID}.combatStepModes.off`
+        },
+        default: 'round',
+        requiresReload: false
+    })
+
+    game.settings.register(MODULE_ID, 'offscreenSimulation', {
+        name: `${MODULE_ID}.settings.offscreenSimulation.name`,
+        hint: `${MODULE_ID}.settings.offscreenSimulation.hint`,
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'real': `${MODULE_ID}.offscreenSimulationModes.real`,
+            'world': `${MODULE_ID}.offscreenSimulationModes.world`,
+            'off': `${MODULE_ID}.offscreenSimulationModes.off`
+        },
+        default: 'real',
+        requiresReload: false
+    })
+
     // ==========================================
     // Visual Settings
     // ==========================================
@@ -218,11 +280,208 @@ export function registerSettings() {
             'alert': `${MODULE_ID}.detectionTriggers.alert`,
             'combat': `${MODULE_ID}.detectionTriggers.combat`,
             'macro': `${MODULE_ID}.detectionTriggers.macro`,
+            'pursue': `${MODULE_ID}.detectionTriggers.pursue`,
             'none': `${MODULE_ID}.detectionTriggers.none`
         },
         default: 'notify',
         requiresReload: false
     })
+
+    game.settings.register(MODULE_ID, 'pursuitMaxDuration', {
+        name: `${MODULE_ID}.settings.pursuitMaxDuration.name`,
+        hint: `${MODULE_ID}.settings.pursuitMaxDuration.hint`,
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 300,
+            step: 5
+        },
+        default: 30,
+        requiresReload: false
+    })
+
+    game.settings.register(MODULE_ID, 'pursuitMaxDistance', {
+        name: `${MODULE_ID}.settings.pursuitMaxDistance.name`,
+        hint: `${MODULE_ID}.settings.pursuitMaxDistance.hint`,
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 100,
+            step: 1
+        },
+        default: 20,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'detectionBackend', {
+        name: `${MODULE_ID}.settings.detectionBackend.name`,
+        hint: `${MODULE_ID}.settings.detectionBackend.hint`,
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'geometric': `${MODULE_ID}.detectionBackends.geometric`,
+            'foundry': `${MODULE_ID}.detectionBackends.foundry`
+        },
+        default: 'geometric',
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'detectionBudget', {
+        name: `${MODULE_ID}.settings.detectionBudget.name`,
+        hint: `${MODULE_ID}.settings.detectionBudget.hint`,
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 1,
+            max: 16,
+            step: 1
+        },
+        default: 4,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'detectionOverlay', {
+        name: `${MODULE_ID}.settings.detectionOverlay.name`,
+        hint: `${MODULE_ID}.settings.detectionOverlay.hint`,
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'lightingDetection', {
+        name: `${MODULE_ID}.settings.lightingDetection.name`,
+        hint: `${MODULE_ID}.settings.lightingDetection.hint`,
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'stealthDetection', {
+        name: `${MODULE_ID}.settings.stealthDetection.name`,
+        hint: `${MODULE_ID}.settings.stealthDetection.hint`,
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'off': `${MODULE_ID}.stealthDetectionModes.off`,
+            'passive': `${MODULE_ID}.stealthDetectionModes.passive`,
+            'rolled': `${MODULE_ID}.stealthDetectionModes.rolled`
+        },
+        default: 'off',
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'suspicionTime', {
+        name: `${MODULE_ID}.settings.suspicionTime.name`,
+        hint: `${MODULE_ID}.settings.suspicionTime.hint`,
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 10,
+            step: 0.5
+        },
+        default: 2,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'suspicionDisplay', {
+        name: `${MODULE_ID}.settings.suspicionDisplay.name`,
+        hint: `${MODULE_ID}.settings.suspicionDisplay.hint`,
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'off': `${MODULE_ID}.suspicionDisplayModes.off`,
+            'gm': `${MODULE_ID}.suspicionDisplayModes.gm`,
+            'players': `${MODULE_ID}.suspicionDisplayModes.players`
+        },
+        default: 'gm',
+        requiresReload: false
+    })
+    
+    // Clearance rules per faction, edited from the patrol config
+    game.settings.register(MODULE_ID, 'factionClearances', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+    })
+    
+    // Passwords the GM recorded tokens speaking, by actor ID; a world
+    // setting so players cannot add their own
+    game.settings.register(MODULE_ID, 'spokenPasswords', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+    })
+    
+    game.settings.register(MODULE_ID, 'investigateCycles', {
+        name: `${MODULE_ID}.settings.investigateCycles.name`,
+        hint: `${MODULE_ID}.settings.investigateCycles.hint`,
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 10,
+            step: 1
+        },
+        default: 2,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'showInvestigationMarker', {
+        name: `${MODULE_ID}.settings.showInvestigationMarker.name`,
+        hint: `${MODULE_ID}.settings.showInvestigationMarker.hint`,
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'noiseTriggers', {
+        name: `${MODULE_ID}.settings.noiseTriggers.name`,
+        hint: `${MODULE_ID}.settings.noiseTriggers.hint`,
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'bodyDetection', {
+        name: `${MODULE_ID}.settings.bodyDetection.name`,
+        hint: `${MODULE_ID}.settings.bodyDetection.hint`,
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    })
+    
+    game.settings.register(MODULE_ID, 'bodyReinforcements', {
+        name: `${MODULE_ID}.settings.bodyReinforcements.name`,
+        hint: `${MODULE_ID}.settings.bodyReinforcements.hint`,
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    })
     
     // ==========================================
     // Audio Settings
@@ -287,6 +546,21 @@ export function registerSettings() {
         requiresReload: false
     })
 
+    game.settings.register(MODULE_ID, 'checkpointInterval', {
+        name: `${MODULE_ID}.settings.checkpointInterval.name`,
+        hint: `${MODULE_ID}.settings.checkpointInterval.hint`,
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 300,
+            step: 15
+        },
+        default: 30,
+        requiresReload: true
+    })
+
     // ==========================================
     // Guard Source (templates vs random NPC actor)
     // ==========================================
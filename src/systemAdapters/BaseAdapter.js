@@ -149,6 +149,121 @@ export class BaseAdapter {
         return actor?.system?.attributes?.ac?.value ?? actor?.system?.attributes?.ac ?? actor?.system?.defences?.ac ?? actor?.system?.defenses?.ac ?? 10
     }
 
+    // Walking speed in scene distance units (feet, meters...), null if unknown
+    getActorSpeed(actor) {
+        const speed = actor?.system?.attributes?.movement?.walk
+            ?? actor?.system?.attributes?.speed?.value
+            ?? actor?.system?.attributes?.speed?.land?.total
+            ?? actor?.system?.attributes?.speed
+            ?? actor?.system?.speed?.value
+            ?? actor?.system?.speed
+        const value = Number(speed)
+        return Number.isFinite(value) && value > 0 ? value : null
+    }
+
+    // Special sense ranges in scene distance units (0 = none). Accepts a token or an actor;
+    // a token's darkvision vision mode stands in when the actor has no senses data
+    getSenses(actorOrToken) {
+        const a = (actorOrToken?.actor) ? actorOrToken.actor : actorOrToken
+        const senses = a?.system?.attributes?.senses ?? a?.system?.senses ?? {}
+        const result = {
+            darkvision: Number(senses.darkvision?.value ?? senses.darkvision) || 0,
+            blindsight: Number(senses.blindsight?.value ?? senses.blindsight) || 0,
+            tremorsense: Number(senses.tremorsense?.value ?? senses.tremorsense) || 0,
+            truesight: Number(senses.truesight?.value ?? senses.truesight) || 0
+        }
+        const sight = (actorOrToken?.document ?? actorOrToken)?.sight
+        if (!result.darkvision && sight?.enabled && sight.visionMode === 'darkvision') {
+            result.darkvision = Number(sight.range) || 0
+        }
+        return result
+    }
+
+    // Passive perception score; 10 + the perception modifier when the system has no passive value
+    getPerception(actor) {
+        const passive = Number(actor?.system?.skills?.prc?.passive ?? actor?.system?.attributes?.perception?.passive)
+        if (Number.isFinite(passive)) return passive
+        const bonus = Number(actor?.system?.skills?.prc?.total
+            ?? actor?.system?.skills?.prc?.mod
+            ?? actor?.system?.perception?.mod
+            ?? actor?.system?.attributes?.perception?.value
+            ?? actor?.system?.skills?.perception?.value
+            ?? 0)
+        return 10 + (Number.isFinite(bonus) ? bonus : 0)
+    }
+
+    // Stealth modifier, 0 if unknown
+    getStealth(actor) {
+        const bonus = Number(actor?.system?.skills?.ste?.total
+            ?? actor?.system?.skills?.ste?.mod
+            ?? actor?.system?.skills?.stealth?.mod
+            ?? actor?.system?.skills?.stealth?.value
+            ?? 0)
+        return Number.isFinite(bonus) ? bonus : 0
+    }
+
+    // Deception (Bluff in PF1 and Starfinder) modifier, 0 if unknown
+    getDeception(actor) {
+        const bonus = Number(actor?.system?.skills?.dec?.total
+            ?? actor?.system?.skills?.dec?.mod
+            ?? actor?.system?.skills?.deception?.mod
+            ?? actor?.system?.skills?.deception?.value
+            ?? actor?.system?.skills?.blf?.mod
+            ?? 0)
+        return Number.isFinite(bonus) ? bonus : 0
+    }
+
+    /**
+     * Roll a stealth check. edge > 0 rolls with advantage, < 0 with disadvantage
+     * @returns {Promise<Roll>}
+     */
+    async rollStealth(actor, { edge = 0 } = {}) {
+        return this._rollD20(this.getStealth(actor), edge)
+    }
+
+    /**
+     * Roll a deception check, for a token bluffing its way past a guard
+     * @returns {Promise<Roll>}
+     */
+    async rollDeception(actor, { edge = 0 } = {}) {
+        return this._rollD20(this.getDeception(actor), edge)
+    }
+
+    /**
+     * Roll a perception check, using the passive score less 10 as the modifier
+     * @returns {Promise<Roll>}
+     */
+    async rollPerception(actor, { edge = 0 } = {}) {
+        return this.rollPerceptionScore(this.getPerception(actor), { edge })
+    }
+
+    /**
+     * Roll a perception check from a bare passive score, for watchers
+     * without an actor such as sentries
+     * @returns {Promise<Roll>}
+     */
+    async rollPerceptionScore(score, { edge = 0 } = {}) {
+        return this._rollD20(score - 10, edge)
+    }
+
+    async _rollD20(bonus, edge = 0) {
+        const dice = edge > 0 ? '2d20kh' : edge < 0 ? '2d20kl' : '1d20'
+        return new Roll(`${dice} + ${Number(bonus) || 0}`).evaluate()
+    }
+
+    // Classify a chat roll for the noise system: { kind: 'attack' }, { kind: 'stealth', total } or null.
+    // Reads the roll type the system keeps in its message flags; a null total means the check is known to have failed
+    getRollNoise(message) {
+        const roll = message?.rolls?.[0]
+        if (!roll) return null
+        const flags = message.flags?.[this.systemId] ?? message.flags?.[game.system.id] ?? {}
+        const type = String(flags.roll?.type ?? flags.context?.type ?? '')
+        if (type.toLowerCase().includes('attack')) return { kind: 'attack' }
+        const skill = flags.roll?.skillId ?? flags.roll?.skill ?? flags.context?.skill
+        if (skill === 'ste' || skill === 'stealth') return { kind: 'stealth', total: roll.total }
+        return null
+    }
+
     // Return attack-capable items; default: items with damage or weapon type
     getAttackItems(actor) {
         return (actor?.items || []).filter(i => (i.type === 'weapon' || (i.system && (i.system.damage || i.system.damage?.parts || i.system.damage?.value))))
@@ -62,6 +62,14 @@ export class Dnd5eAdapter extends BaseAdapter {
         return actor?.system?.attributes?.ac?.value ?? actor?.system?.attributes?.ac ?? actor?.system?.attributes?.ac?.flat ?? 10
     }
 
+    getPerception(actor) {
+        return actor?.system?.skills?.prc?.passive ?? super.getPerception(actor)
+    }
+
+    getStealth(actor) {
+        return actor?.system?.skills?.ste?.total ?? actor?.system?.skills?.ste?.mod ?? super.getStealth(actor)
+    }
+
     getAttackItems(actor) {
         return (actor?.items || []).filter(i => i.type === 'weapon' || i.type === 'melee' || i.type === 'ranged')
     }
@@ -13,6 +13,13 @@ export class Pf1Adapter extends BaseAdapter {
 
     getActorAc(actor) { return getProperty(actor, 'system.attributes.ac.value') ?? getProperty(actor, 'system.attributes.ac') ?? super.getActorAc(actor) }
 
+    getPerception(actor) {
+        const mod = getProperty(actor, 'system.skills.per.mod')
+        return mod !== undefined ? 10 + Number(mod) : super.getPerception(actor)
+    }
+
+    getStealth(actor) { return getProperty(actor, 'system.skills.ste.mod') ?? super.getStealth(actor) }
+
     getAttackItems(actor) { return (actor?.items || []).filter(i => i.type === 'weapon' || i.type === 'melee' || i.type === 'ranged' || i.type === 'item') }
 
         async applyDamage(actor, amount) {
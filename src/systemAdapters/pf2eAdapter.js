@@ -48,6 +48,41 @@ export class Pf2eAdapter extends BaseAdapter {
 
     getActorAc(actor) { return actor?.system?.attributes?.ac?.value ?? actor?.system?.attributes?.ac ?? actor?.system?.defences?.ac ?? 10 }
 
+    // PF2e senses are a list; darkvision and the like have no range limit unless one is given
+    getSenses(actorOrToken) {
+        const a = (actorOrToken?.actor) ? actorOrToken.actor : actorOrToken
+        const list = a?.system?.perception?.senses ?? a?.system?.traits?.senses
+        if (!Array.isArray(list)) return super.getSenses(actorOrToken)
+
+        const result = { darkvision: 0, blindsight: 0, tremorsense: 0, truesight: 0 }
+        const rangeOf = sense => Number(sense.range ?? sense.value) || Infinity
+        for (const sense of list) {
+            if (sense.type === 'darkvision' || sense.type === 'greaterDarkvision') result.darkvision = rangeOf(sense)
+            else if (sense.type === 'tremorsense') result.tremorsense = rangeOf(sense)
+            else if (sense.type === 'truesight') result.truesight = rangeOf(sense)
+            else if (sense.type === 'echolocation' || sense.type === 'motionSense') result.blindsight = rangeOf(sense)
+        }
+        return result
+    }
+
+    // PF2e has no passive score; Perception DC is 10 + modifier
+    getPerception(actor) {
+        const mod = actor?.system?.perception?.mod ?? actor?.system?.attributes?.perception?.value
+        return mod !== undefined ? 10 + Number(mod) : super.getPerception(actor)
+    }
+
+    getStealth(actor) { return actor?.system?.skills?.stealth?.mod ?? actor?.system?.skills?.ste?.value ?? super.getStealth(actor) }
+
+    // Check contexts carry the roll type, the stealth domain and, against a DC, the outcome
+    getRollNoise(message) {
+        const context = message?.flags?.pf2e?.context
+        if (!context || !message.rolls?.length) return super.getRollNoise(message)
+        if (String(context.type ?? '').includes('attack')) return { kind: 'attack' }
+        if (!context.domains?.includes('stealth')) return null
+        if (!context.outcome) return { kind: 'stealth', total: message.rolls[0].total }
+        return /failure/i.test(context.outcome) ? { kind: 'stealth', total: null } : null
+    }
+
     getAttackItems(actor) { return (actor?.items || []).filter(i => i.type === 'strike' || i.type === 'weapon' || (i.system && (i.system.damage || i.system.damage?.value))) }
 
     async estimateBestAttackForToken(token) {
@@ -8,6 +8,13 @@ export class StarfinderAdapter extends BaseAdapter {
     getActorMaxHp(actorOrToken) { return getProperty(actorOrToken, 'system.attributes.hp.max') ?? super.getActorMaxHp(actorOrToken) }
     getActorAc(actor) { return getProperty(actor, 'system.attributes.ac.value') ?? getProperty(actor, 'system.defenses.ac') ?? super.getActorAc(actor) }
 
+    getPerception(actor) {
+        const mod = getProperty(actor, 'system.skills.per.mod')
+        return mod !== undefined ? 10 + Number(mod) : super.getPerception(actor)
+    }
+
+    getStealth(actor) { return getProperty(actor, 'system.skills.ste.mod') ?? super.getStealth(actor) }
+
     getAttackItems(actor) { return (actor?.items || []).filter(i => i.type === 'weapon' || i.type === 'strike' || i.system?.damage) }
 
     async estimateBestAttackForToken(token) {
@@ -0,0 +1,37 @@
+// Test script to run inside Foundry's Console as a GM
+// Compares the spatial index against a scan of every token for each waypoint on the scene,
+// then turns on the detection cost overlay
+(async () => {
+    if (!game.user.isGM) return console.warn('Run this as the GM')
+    const api = game.rnkPatrol
+    if (!api?.detection) return console.warn('RNK Patrol module not loaded')
+    const { detection, manager } = api
+    const waypoints = manager.getWaypoints()
+    if (!waypoints.length) return console.warn('Place some waypoints on this scene first')
+    const inRange = (waypoint, token) => waypoint.isInRange(token.center) && waypoint.isInVisionCone(token.center)
+    let indexTime = 0
+    let scanTime = 0
+    const mismatches = []
+    for (const waypoint of waypoints) {
+        let start = performance.now()
+        const indexed = waypoint.getTokensInRange()
+        indexTime += performance.now() - start
+        start = performance.now()
+        const scanned = canvas.tokens.placeables.filter(token => inRange(waypoint, token))
+        scanTime += performance.now() - start
+        const missing = scanned.filter(token => !indexed.includes(token))
+        if (missing.length || indexed.length !== scanned.length) {
+            mismatches.push({ waypoint: waypoint.name, missing: missing.map(t => t.name) })
+        }
+    }
+    console.log({
+        waypoints: waypoints.length,
+        tokens: canvas.tokens.placeables.length,
+        indexMs: indexTime.toFixed(2),
+        scanMs: scanTime.toFixed(2),
+        mismatches
+    })
+    if (mismatches.length) console.warn('The index missed tokens a full scan found')
+    await detection.toggleOverlay(true)
+    return mismatches.length === 0
+})()
@@ -0,0 +1,21 @@
+// Test script to run inside Foundry's Console as a GM
+// Prints formation offsets, then lays the selected patrol's squad out around its leader
+(async () => {
+    if (!game.user.isGM) return console.warn('Run this as the GM')
+    const api = game.rnkPatrol
+    if (!api?.Patrol) return console.warn('RNK Patrol module not loaded')
+    const { Patrol, FORMATIONS, manager } = api
+    const grid = canvas.grid.size
+    for (const formation of Object.values(FORMATIONS)) {
+        const offsets = Patrol.getFormationOffsets(formation, 4, grid, 0)
+        console.log(formation, offsets.map(o => `(${o.x / grid}, ${o.y / grid})`).join(' '))
+    }
+    const token = canvas.tokens.controlled[0]
+    const patrol = token ? manager.getPatrolForToken(token.id) : null
+    if (!patrol?.isSquad) return console.warn('Select the leader of a squad patrol to test its layout')
+    try {
+        await patrol._syncSquad({ anchor: token.center, facing: token.document.rotation })
+        console.log(`${patrol.name}: ${patrol.memberTokenIds.length} members in ${patrol.formation}`)
+    } catch (err) { console.error('Squad formation test failed', err) }
+    return true
+})()
@@ -0,0 +1,25 @@
+// Test script to run inside Foundry's Console as a GM
+// Select the guard, then target the sneaking token (T), and run
+(async () => {
+    if (!game.user.isGM) return console.warn('Run this as the GM')
+    const api = game.rnkPatrol
+    if (!api?.StealthContest) return console.warn('RNK Patrol module not loaded')
+    const { StealthContest, manager } = api
+    const guard = canvas.tokens.controlled[0]
+    const target = [...game.user.targets][0]
+    if (!guard || !target) return console.warn('Select the guard token and target the sneaking token')
+    const adapter = api.systemAdapters.getAdapter(game.system.id)
+    console.log({
+        system: game.system.id,
+        perception: adapter.getPerception(guard.actor),
+        stealth: adapter.getStealth(target.actor),
+        light: api.Lighting.getLightLevel(target.center),
+        senses: adapter.getSenses(guard)
+    })
+    const waypoint = manager.getPatrolForToken(guard.id)?.currentWaypoint ?? null
+    try {
+        const result = await StealthContest.contest(guard, target, { waypoint })
+        console.log(`${result.spotted ? 'Spotted' : 'Unnoticed'}: ${result.perception} vs ${result.stealth}`, result.factors)
+    } catch (err) { console.error('Stealth contest test failed', err) }
+    return true
+})()
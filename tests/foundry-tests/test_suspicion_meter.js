@@ -0,0 +1,30 @@
+// Test script to run inside Foundry's Console as a GM
+// Select a patrol guard, then target the watched token (T), and run
+(async () => {
+    if (!game.user.isGM) return console.warn('Run this as the GM')
+    const api = game.rnkPatrol
+    if (!api?.SuspicionMeter) return console.warn('RNK Patrol module not loaded')
+    const { SuspicionMeter, manager } = api
+    const guard = canvas.tokens.controlled[0]
+    const target = [...game.user.targets][0]
+    if (!guard || !target) return console.warn('Select the guard token and target the watched token')
+    const waypoint = manager.getPatrolForToken(guard.id)?.currentWaypoint ?? null
+    if (!SuspicionMeter.isEnabled) console.warn('Suspicion Time is 0: guards detect at once')
+    const moving = SuspicionMeter.getFillRate(guard, target, waypoint, true)
+    const still = SuspicionMeter.getFillRate(guard, target, waypoint, false)
+    console.log({
+        fillTime: SuspicionMeter.fillTime,
+        display: SuspicionMeter.display,
+        secondsToDetectMoving: moving > 0 ? 1 / moving : Infinity,
+        secondsToDetectStill: still > 0 ? 1 / still : Infinity
+    })
+    // Fill the bar over the guard at the moving rate, then clear it
+    for (let value = 0; value < 1; value += moving * 0.5) {
+        SuspicionMeter.drawBar(guard, value)
+        await new Promise(resolve => setTimeout(resolve, 500))
+    }
+    SuspicionMeter.drawBar(guard, 1)
+    await new Promise(resolve => setTimeout(resolve, 1000))
+    SuspicionMeter.drawBar(guard, 0)
+    return true
+})()